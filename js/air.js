@@ -0,0 +1,300 @@
+/**
+ * OpenPowderGame Air Module
+ * Coarse air pressure and wind velocity field that pushes light particles around
+ */
+
+class Air {
+    /**
+     * Create a new air field covering the simulation grid
+     * @param {number} width - Width of the simulation grid
+     * @param {number} height - Height of the simulation grid
+     * @param {number} cellSize - Grid cells covered by each air cell along each axis
+     */
+    constructor(width, height, cellSize = 4) {
+        this.cellSize = cellSize;
+        this.width = Math.ceil(width / cellSize);
+        this.height = Math.ceil(height / cellSize);
+        
+        // Velocity is measured in grid cells per update
+        const size = this.width * this.height;
+        this.vx = new Float32Array(size);
+        this.vy = new Float32Array(size);
+        this.pressure = new Float32Array(size);
+        this.blocked = new Uint8Array(size); // Air cells filled by walls and other static solids
+        
+        // Scratch buffers reused every update
+        this._vxBuffer = new Float32Array(size);
+        this._vyBuffer = new Float32Array(size);
+        this._pressureBuffer = new Float32Array(size);
+        
+        // Tuning
+        this.pressureResponse = 0.3;   // How strongly converging air builds pressure
+        this.velocityResponse = 0.3;   // How strongly pressure differences create wind
+        this.velocityDamping = 0.98;   // Wind slowly dies down
+        this.pressureDamping = 0.99;   // Pressure slowly returns to normal
+        this.maxVelocity = 8;          // Keep things stable under extreme input
+    }
+    
+    /**
+     * Clear all wind and pressure
+     */
+    reset() {
+        this.vx.fill(0);
+        this.vy.fill(0);
+        this.pressure.fill(0);
+        this.blocked.fill(0);
+    }
+    
+    /**
+     * Advance the air simulation by one step
+     * @param {Engine} engine - Engine whose grid provides the obstacles
+     */
+    update(engine) {
+        this._updateBlocked(engine);
+        this._advect();
+        
+        const w = this.width;
+        const h = this.height;
+        const vx = this.vx;
+        const vy = this.vy;
+        const pressure = this.pressure;
+        const blocked = this.blocked;
+        
+        // Pressure builds where air converges and drops where it spreads out
+        for (let ay = 1; ay < h - 1; ay++) {
+            for (let ax = 1; ax < w - 1; ax++) {
+                const i = ay * w + ax;
+                if (blocked[i]) continue;
+                
+                const divergence = (vx[i + 1] - vx[i - 1] + vy[i + w] - vy[i - w]) * 0.5;
+                pressure[i] -= divergence * this.pressureResponse;
+            }
+        }
+        
+        // Wind blows from high to low pressure
+        for (let ay = 1; ay < h - 1; ay++) {
+            for (let ax = 1; ax < w - 1; ax++) {
+                const i = ay * w + ax;
+                
+                if (blocked[i]) {
+                    vx[i] = 0;
+                    vy[i] = 0;
+                    continue;
+                }
+                
+                vx[i] -= (pressure[i + 1] - pressure[i - 1]) * 0.5 * this.velocityResponse;
+                vy[i] -= (pressure[i + w] - pressure[i - w]) * 0.5 * this.velocityResponse;
+            }
+        }
+        
+        this._smooth();
+    }
+    
+    /**
+     * Get the wind velocity at a grid cell
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {Array} [vx, vy] in grid cells per update
+     */
+    getVelocity(x, y) {
+        const i = this._indexOf(x, y);
+        if (i < 0) return [0, 0];
+        
+        return [this.vx[i], this.vy[i]];
+    }
+    
+    /**
+     * Get the air pressure at a grid cell
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number} Pressure relative to normal (0)
+     */
+    getPressure(x, y) {
+        const i = this._indexOf(x, y);
+        return i < 0 ? 0 : this.pressure[i];
+    }
+    
+    /**
+     * Add wind velocity in a circle around a grid cell
+     * @param {number} x - Grid X coordinate of the center
+     * @param {number} y - Grid Y coordinate of the center
+     * @param {number} radius - Radius in grid cells
+     * @param {number} vx - Velocity to add along X
+     * @param {number} vy - Velocity to add along Y
+     */
+    addVelocity(x, y, radius, vx, vy) {
+        this._forEachInRadius(x, y, radius, (i) => {
+            this.vx[i] = Utils.clamp(this.vx[i] + vx, -this.maxVelocity, this.maxVelocity);
+            this.vy[i] = Utils.clamp(this.vy[i] + vy, -this.maxVelocity, this.maxVelocity);
+        });
+    }
+    
+    /**
+     * Add pressure in a circle around a grid cell (negative values create suction)
+     * @param {number} x - Grid X coordinate of the center
+     * @param {number} y - Grid Y coordinate of the center
+     * @param {number} radius - Radius in grid cells
+     * @param {number} amount - Pressure to add
+     */
+    addPressure(x, y, radius, amount) {
+        this._forEachInRadius(x, y, radius, (i) => {
+            this.pressure[i] += amount;
+        });
+    }
+    
+    /**
+     * Call a function for every unblocked air cell within a radius of a grid cell
+     * @param {number} x - Grid X coordinate of the center
+     * @param {number} y - Grid Y coordinate of the center
+     * @param {number} radius - Radius in grid cells
+     * @param {Function} callback - Called with the air cell index
+     * @private
+     */
+    _forEachInRadius(x, y, radius, callback) {
+        const centerX = Math.floor(x / this.cellSize);
+        const centerY = Math.floor(y / this.cellSize);
+        const airRadius = Math.floor(radius / this.cellSize);
+        
+        for (let ay = centerY - airRadius; ay <= centerY + airRadius; ay++) {
+            for (let ax = centerX - airRadius; ax <= centerX + airRadius; ax++) {
+                if (!Utils.inBounds(ax, ay, this.width, this.height)) continue;
+                if (Utils.distance(ax, ay, centerX, centerY) > airRadius) continue;
+                
+                const i = ay * this.width + ax;
+                if (!this.blocked[i]) {
+                    callback(i);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Convert grid coordinates to an air cell index
+     * @param {number} x - Grid X coordinate
+     * @param {number} y - Grid Y coordinate
+     * @returns {number} Air cell index, or -1 if out of bounds
+     * @private
+     */
+    _indexOf(x, y) {
+        const ax = Math.floor(x / this.cellSize);
+        const ay = Math.floor(y / this.cellSize);
+        
+        if (!Utils.inBounds(ax, ay, this.width, this.height)) return -1;
+        
+        return ay * this.width + ax;
+    }
+    
+    /**
+     * Mark air cells whose center is filled by a static particle as obstacles
+     * @param {Engine} engine - Engine whose grid provides the obstacles
+     * @private
+     */
+    _updateBlocked(engine) {
+        const half = Math.floor(this.cellSize / 2);
+        
+        for (let ay = 0; ay < this.height; ay++) {
+            for (let ax = 0; ax < this.width; ax++) {
+                const x = Math.min(ax * this.cellSize + half, engine.width - 1);
+                const y = Math.min(ay * this.cellSize + half, engine.height - 1);
+                const particle = engine.grid[y][x];
+                const elementType = particle && Particles.ELEMENTS[particle.type];
+                
+                this.blocked[ay * this.width + ax] = elementType && elementType.static ? 1 : 0;
+            }
+        }
+    }
+    
+    /**
+     * Carry wind along with itself so gusts travel instead of just spreading
+     * @private
+     */
+    _advect() {
+        const w = this.width;
+        const nextVx = this._vxBuffer;
+        const nextVy = this._vyBuffer;
+        
+        for (let ay = 0; ay < this.height; ay++) {
+            for (let ax = 0; ax < w; ax++) {
+                const i = ay * w + ax;
+                
+                // Look back along the wind to find what arrives here
+                const fromX = ax - this.vx[i] / this.cellSize;
+                const fromY = ay - this.vy[i] / this.cellSize;
+                
+                nextVx[i] = this._sample(this.vx, fromX, fromY);
+                nextVy[i] = this._sample(this.vy, fromX, fromY);
+            }
+        }
+        
+        this._vxBuffer = this.vx;
+        this._vyBuffer = this.vy;
+        this.vx = nextVx;
+        this.vy = nextVy;
+    }
+    
+    /**
+     * Bilinearly sample a field at a fractional air cell position
+     * @param {Float32Array} field - Field to sample
+     * @param {number} fx - Fractional X position
+     * @param {number} fy - Fractional Y position
+     * @returns {number} Interpolated value
+     * @private
+     */
+    _sample(field, fx, fy) {
+        fx = Utils.clamp(fx, 0, this.width - 1);
+        fy = Utils.clamp(fy, 0, this.height - 1);
+        
+        const x0 = Math.floor(fx);
+        const y0 = Math.floor(fy);
+        const x1 = Math.min(x0 + 1, this.width - 1);
+        const y1 = Math.min(y0 + 1, this.height - 1);
+        const tx = fx - x0;
+        const ty = fy - y0;
+        const w = this.width;
+        
+        const top = field[y0 * w + x0] * (1 - tx) + field[y0 * w + x1] * tx;
+        const bottom = field[y1 * w + x0] * (1 - tx) + field[y1 * w + x1] * tx;
+        
+        return top * (1 - ty) + bottom * ty;
+    }
+    
+    /**
+     * Blur and damp the fields so the simulation settles instead of oscillating
+     * @private
+     */
+    _smooth() {
+        const w = this.width;
+        const h = this.height;
+        const nextVx = this._vxBuffer;
+        const nextVy = this._vyBuffer;
+        const nextPressure = this._pressureBuffer;
+        
+        for (let ay = 0; ay < h; ay++) {
+            for (let ax = 0; ax < w; ax++) {
+                const i = ay * w + ax;
+                
+                // The border is open air that always returns to rest
+                if (ax === 0 || ay === 0 || ax === w - 1 || ay === h - 1 || this.blocked[i]) {
+                    nextVx[i] = 0;
+                    nextVy[i] = 0;
+                    nextPressure[i] = 0;
+                    continue;
+                }
+                
+                nextVx[i] = (this.vx[i] * 4 + this.vx[i - 1] + this.vx[i + 1] +
+                    this.vx[i - w] + this.vx[i + w]) / 8 * this.velocityDamping;
+                nextVy[i] = (this.vy[i] * 4 + this.vy[i - 1] + this.vy[i + 1] +
+                    this.vy[i - w] + this.vy[i + w]) / 8 * this.velocityDamping;
+                nextPressure[i] = (this.pressure[i] * 4 + this.pressure[i - 1] + this.pressure[i + 1] +
+                    this.pressure[i - w] + this.pressure[i + w]) / 8 * this.pressureDamping;
+            }
+        }
+        
+        this._vxBuffer = this.vx;
+        this._vyBuffer = this.vy;
+        this._pressureBuffer = this.pressure;
+        this.vx = nextVx;
+        this.vy = nextVy;
+        this.pressure = nextPressure;
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * OpenPowderGame Storage Backends Module
+ * Where saved creations live: IndexedDB when the browser has it, localStorage otherwise.
+ * Every backend has the same promise-based methods: open, list, get, put, remove and estimate.
+ */
+
+const StorageBackends = {
+    /**
+     * Get the summary of a save shown when browsing, without its (large) state
+     * @param {Object} save - Save record
+     * @returns {Object} { name, date, count, thumbnail }
+     */
+    summarize: function(save) {
+        return {
+            name: save.name,
+            date: save.date,
+            // Saves from before counts were stored still have them in the plain state
+            count: save.count !== undefined ? save.count : (save.state && save.state.count) || 0,
+            thumbnail: save.thumbnail || null
+        };
+    },
+    
+    /**
+     * Saves kept in IndexedDB: full records in one store, summaries in another,
+     * so browsing hundreds of saves never reads their states
+     */
+    indexedDB: {
+        label: 'IndexedDB',
+        maxSaves: 500,
+        DB_NAME: 'openPowderGame',
+        DB_VERSION: 1,
+        SAVES_STORE: 'saves',
+        SUMMARIES_STORE: 'summaries',
+        _db: null,
+        
+        /**
+         * Check whether the browser offers IndexedDB
+         * @returns {boolean} True if it can be used
+         */
+        isAvailable: function() {
+            return typeof indexedDB !== 'undefined';
+        },
+        
+        /**
+         * Open the database, creating its stores the first time
+         * @returns {Promise} Resolves once the database is ready
+         */
+        open: function() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(this.SAVES_STORE, { keyPath: 'name' });
+                    db.createObjectStore(this.SUMMARIES_STORE, { keyPath: 'name' });
+                };
+                request.onsuccess = () => {
+                    this._db = request.result;
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        },
+        
+        /**
+         * Run work in a transaction
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} work - Gets the saves and summaries stores; may return a request
+         * @returns {Promise} Resolves with the request's result once the transaction completes
+         * @private
+         */
+        _transaction: function(mode, work) {
+            return new Promise((resolve, reject) => {
+                const transaction = this._db.transaction([this.SAVES_STORE, this.SUMMARIES_STORE], mode);
+                const request = work(
+                    transaction.objectStore(this.SAVES_STORE),
+                    transaction.objectStore(this.SUMMARIES_STORE)
+                );
+                
+                transaction.oncomplete = () => resolve(request ? request.result : undefined);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        },
+        
+        /**
+         * List summaries of all saves
+         * @returns {Promise<Array>} Save summaries
+         */
+        list: function() {
+            return this._transaction('readonly', (saves, summaries) => summaries.getAll());
+        },
+        
+        /**
+         * Get a full save record
+         * @param {string} name - Save name
+         * @returns {Promise<Object|undefined>} Save record, if it exists
+         */
+        get: function(name) {
+            return this._transaction('readonly', saves => saves.get(name));
+        },
+        
+        /**
+         * Add or replace a save record
+         * @param {Object} save - Save record
+         * @returns {Promise} Resolves once stored
+         */
+        put: function(save) {
+            return this._transaction('readwrite', (saves, summaries) => {
+                saves.put(save);
+                summaries.put(StorageBackends.summarize(save));
+            });
+        },
+        
+        /**
+         * Delete a save record
+         * @param {string} name - Save name
+         * @returns {Promise} Resolves once deleted
+         */
+        remove: function(name) {
+            return this._transaction('readwrite', (saves, summaries) => {
+                saves.delete(name);
+                summaries.delete(name);
+            });
+        },
+        
+        /**
+         * Estimate space used and available for the whole site
+         * @returns {Promise<Object>} { used, available } in bytes; null where the browser won't say
+         */
+        estimate: function() {
+            if (!navigator.storage || !navigator.storage.estimate) {
+                return Promise.resolve({ used: null, available: null });
+            }
+            
+            return navigator.storage.estimate().then(estimate => ({
+                used: estimate.usage,
+                available: estimate.quota
+            }));
+        }
+    },
+    
+    /**
+     * Saves kept as one JSON object in localStorage: small and synchronous, but always there
+     */
+    localStorage: {
+        label: 'browser local storage',
+        maxSaves: 10,
+        KEY: 'openPowderGameSaves',
+        QUOTA: 5 * 1024 * 1024, // What most browsers allow per site
+        
+        /**
+         * Check whether the browser offers localStorage
+         * @returns {boolean} True if it can be used
+         */
+        isAvailable: function() {
+            return typeof localStorage !== 'undefined';
+        },
+        
+        /**
+         * Create the saves object if it doesn't exist
+         * @returns {Promise} Resolves once ready
+         */
+        open: function() {
+            if (!localStorage.getItem(this.KEY)) {
+                localStorage.setItem(this.KEY, JSON.stringify({}));
+            }
+            
+            return Promise.resolve();
+        },
+        
+        /**
+         * Read every save
+         * @returns {Object} Saves by name
+         * @private
+         */
+        _read: function() {
+            return JSON.parse(localStorage.getItem(this.KEY)) || {};
+        },
+        
+        /**
+         * Replace every save
+         * @param {Object} saves - Saves by name
+         * @private
+         */
+        _write: function(saves) {
+            localStorage.setItem(this.KEY, JSON.stringify(saves));
+        },
+        
+        /**
+         * List summaries of all saves
+         * @returns {Promise<Array>} Save summaries
+         */
+        list: function() {
+            return Promise.resolve().then(() => Object.values(this._read()).map(StorageBackends.summarize));
+        },
+        
+        /**
+         * Get a full save record
+         * @param {string} name - Save name
+         * @returns {Promise<Object|undefined>} Save record, if it exists
+         */
+        get: function(name) {
+            return Promise.resolve().then(() => this._read()[name]);
+        },
+        
+        /**
+         * Add or replace a save record
+         * @param {Object} save - Save record
+         * @returns {Promise} Resolves once stored; rejects if the quota is exceeded
+         */
+        put: function(save) {
+            return Promise.resolve().then(() => {
+                const saves = this._read();
+                saves[save.name] = save;
+                this._write(saves);
+            });
+        },
+        
+        /**
+         * Delete a save record
+         * @param {string} name - Save name
+         * @returns {Promise} Resolves once deleted
+         */
+        remove: function(name) {
+            return Promise.resolve().then(() => {
+                const saves = this._read();
+                delete saves[name];
+                this._write(saves);
+            });
+        },
+        
+        /**
+         * Estimate space used by everything in localStorage (two bytes per character)
+         * @returns {Promise<Object>} { used, available } in bytes
+         */
+        estimate: function() {
+            let used = 0;
+            
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                used += (key.length + localStorage.getItem(key).length) * 2;
+            }
+            
+            return Promise.resolve({ used, available: this.QUOTA });
+        }
+    }
+};
@@ -0,0 +1,211 @@
+/**
+ * OpenPowderGame Capture Module
+ * Screenshots and recordings of what the renderer draws: PNG, animated GIF and WebM
+ */
+
+const Capture = {
+    /**
+     * Pixels per cell offered for captures
+     */
+    SCALES: [1, 2, 3, 4],
+    
+    /**
+     * Longest recording, in seconds
+     */
+    MAX_SECONDS: 30,
+    
+    /**
+     * GIFs are recorded at this frame rate; every frame is kept in memory until encoding
+     */
+    GIF_FPS: 20,
+    
+    /**
+     * Most memory a GIF recording may take: its raw frames plus the encoded file.
+     * This limits its length on big grids.
+     */
+    GIF_MAX_BYTES: 128 * 1024 * 1024,
+    
+    /**
+     * Most an encoded GIF takes per output pixel: LZW never needs more than one 12-bit code per pixel
+     */
+    GIF_ENCODED_BYTES_PER_PIXEL: 1.5,
+    
+    /**
+     * Largest GIF scale: bigger frames take too long to encode
+     */
+    GIF_MAX_SCALE: 2,
+    
+    /**
+     * Frame rate of WebM recordings
+     */
+    WEBM_FPS: 30,
+    
+    /**
+     * Check whether the browser can record in a format
+     * @param {string} format - 'gif' or 'webm'
+     * @returns {boolean} True if it can
+     */
+    isSupported: function(format) {
+        if (format === 'gif') return true;
+        
+        return format === 'webm' &&
+            typeof MediaRecorder !== 'undefined' &&
+            MediaRecorder.isTypeSupported('video/webm') &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    },
+    
+    /**
+     * Get the longest recording possible in a format
+     * @param {string} format - 'gif' or 'webm'
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} [scale=1] - Pixels per cell
+     * @returns {number} Seconds
+     */
+    getMaxSeconds: function(format, width, height, scale = 1) {
+        if (format !== 'gif') return this.MAX_SECONDS;
+        
+        const frames = this._getMaxGifFrames(width, height, scale);
+        return Utils.clamp(Math.floor(frames / this.GIF_FPS), 1, this.MAX_SECONDS);
+    },
+    
+    /**
+     * Get how many frames a GIF recording can hold within its memory budget
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} scale - Pixels per cell asked for; GIFs use at most GIF_MAX_SCALE
+     * @returns {number} Frames
+     * @private
+     */
+    _getMaxGifFrames: function(width, height, scale) {
+        const gifScale = Math.min(scale, this.GIF_MAX_SCALE);
+        
+        // Each frame is held raw at one pixel per cell, then encoded at full size
+        const frameBytes = width * height * 4 +
+            width * height * gifScale * gifScale * this.GIF_ENCODED_BYTES_PER_PIXEL;
+        
+        return Math.floor(this.GIF_MAX_BYTES / frameBytes);
+    },
+    
+    /**
+     * Take a PNG of the last rendered frame
+     * @param {Renderer} renderer - Renderer to capture
+     * @param {number} [scale=1] - Pixels per cell
+     * @returns {Promise<Blob>} PNG image
+     */
+    screenshot: function(renderer, scale = 1) {
+        return new Promise((resolve, reject) => {
+            renderer.drawFrame(scale).toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The browser could not create the image'));
+                }
+            }, 'image/png');
+        });
+    },
+    
+    /**
+     * Record rendered frames for a while
+     * @param {Renderer} renderer - Renderer to capture
+     * @param {Object} options - { format: 'gif' or 'webm', seconds, scale, onProgress }.
+     *     onProgress is called with the share of a GIF encoded so far, from 0 to 1.
+     * @returns {Object} { stop: ends the recording early, stopped: Promise that resolves when
+     *     recording ends, result: Promise of the recorded Blob }
+     */
+    record: function(renderer, options) {
+        let stop;
+        const stopped = new Promise(resolve => { stop = resolve; });
+        const { width, height } = renderer.engine;
+        const seconds = Math.min(options.seconds, this.getMaxSeconds(options.format, width, height, options.scale || 1));
+        const timer = setTimeout(stop, seconds * 1000);
+        stopped.then(() => clearTimeout(timer));
+        
+        const result = options.format === 'gif' ?
+            this._recordGif(renderer, stopped, stop, options) :
+            this._recordWebm(renderer, stopped, options);
+        
+        return { stop, stopped, result };
+    },
+    
+    /**
+     * Collect frames until stopped, then encode them as a GIF
+     * @param {Renderer} renderer - Renderer to capture
+     * @param {Promise} stopped - Resolves when the recording should end
+     * @param {Function} stop - Ends the recording, e.g. when the frames fill their memory budget
+     * @param {Object} options - { scale, onProgress }
+     * @returns {Promise<Blob>} Animated GIF
+     * @private
+     */
+    _recordGif: async function(renderer, stopped, stop, options) {
+        const { width, height } = renderer.engine;
+        const scale = Math.min(options.scale || 1, this.GIF_MAX_SCALE);
+        const frames = [];
+        const interval = 1000 / this.GIF_FPS;
+        const maxFrames = this._getMaxGifFrames(width, height, scale);
+        
+        const listener = () => {
+            const time = performance.now();
+            if (frames.length > 0 && time - frames[frames.length - 1].time < interval) return;
+            
+            frames.push({ pixels: renderer.getFramePixels(), time });
+            if (frames.length >= maxFrames) stop();
+        };
+        
+        renderer.addFrameListener(listener);
+        await stopped;
+        renderer.removeFrameListener(listener);
+        
+        if (frames.length === 0) throw new Error('No frames were recorded');
+        
+        const encoder = Gif.createEncoder(width, height, scale);
+        
+        for (let i = 0; i < frames.length; i++) {
+            // Show each frame until the next one was taken, so slow rendering doesn't speed up the clip
+            const delay = i + 1 < frames.length ? frames[i + 1].time - frames[i].time : interval;
+            encoder.addFrame(frames[i].pixels, delay);
+            frames[i].pixels = null; // Encoded frames can go
+            
+            if (options.onProgress) options.onProgress((i + 1) / frames.length);
+            
+            // Give the page a chance to update between frames
+            await new Promise(resolve => setTimeout(resolve));
+        }
+        
+        return new Blob(encoder.finish(), { type: 'image/gif' });
+    },
+    
+    /**
+     * Stream frames into a WebM video until stopped
+     * @param {Renderer} renderer - Renderer to capture
+     * @param {Promise} stopped - Resolves when the recording should end
+     * @param {Object} options - { scale }
+     * @returns {Promise<Blob>} WebM video
+     * @private
+     */
+    _recordWebm: async function(renderer, stopped, options) {
+        // Record a copy of each frame rather than the game canvas, which has the cursor drawn on it
+        const scale = options.scale || 1;
+        const canvas = renderer.drawFrame(scale);
+        const stream = canvas.captureStream(this.WEBM_FPS);
+        const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+        const chunks = [];
+        
+        recorder.ondataavailable = e => chunks.push(e.data);
+        
+        const listener = () => renderer.drawFrame(scale, canvas);
+        renderer.addFrameListener(listener);
+        recorder.start();
+        
+        await stopped;
+        renderer.removeFrameListener(listener);
+        
+        await new Promise(resolve => {
+            recorder.onstop = resolve;
+            recorder.stop();
+        });
+        stream.getTracks().forEach(track => track.stop());
+        
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+};
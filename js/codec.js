@@ -0,0 +1,418 @@
+/**
+ * OpenPowderGame Codec Module
+ * Compact binary encoding of simulation states for saves, exports and the undo stack
+ */
+
+const Codec = {
+    /**
+     * Marks the start of an encoded state
+     */
+    MAGIC: 'OPG',
+    
+    /**
+     * Version of the binary layout
+     */
+    VERSION: 1,
+    
+    /**
+     * Most cells a decoded state may have. States come from files and links, so their
+     * size is checked before anything is allocated for them.
+     */
+    MAX_CELLS: 4 * 1024 * 1024,
+    
+    /**
+     * Numeric particle properties stored as one signed byte: value * scale, rounded.
+     * Color variation stays within ±1 and only needs to be accurate to a shade.
+     */
+    QUANTIZED: {
+        colorVariation: 127
+    },
+    
+    /**
+     * Particle property names a decoded state may not set: the ones decoding sets itself,
+     * and ones that would reach into the object's prototype
+     */
+    RESERVED_KEYS: ['x', 'y', 'type', 'updated', '__proto__', 'constructor', 'prototype'],
+    
+    /**
+     * Encode a state from Engine.exportCompressedState (plus any extra fields) as bytes.
+     *
+     * Layout: magic, version, width, height, the type palette, run-length encoded palette
+     * indices for every cell, then one run-length encoded layer per numeric particle property,
+     * then JSON for everything else (settings and non-numeric particle properties).
+     * @param {Object} state - State with width, height and a particles list in row order
+     * @returns {Uint8Array} Encoded state
+     */
+    encodeBytes: function(state) {
+        const { particles, ...meta } = state;
+        const writer = this._createWriter();
+        
+        writer.string(this.MAGIC);
+        writer.byte(this.VERSION);
+        writer.varint(state.width);
+        writer.varint(state.height);
+        
+        // Palette of the types in use; index 0 means an empty cell
+        const palette = [...new Set(particles.map(p => p.type))];
+        const paletteIndex = new Map(palette.map((type, i) => [type, i + 1]));
+        writer.varint(palette.length);
+        palette.forEach(type => writer.string(type));
+        
+        // Cell types, one run at a time
+        const cells = new Uint16Array(state.width * state.height);
+        for (const p of particles) {
+            cells[p.y * state.width + p.x] = paletteIndex.get(p.type);
+        }
+        this._writeRuns(writer, cells);
+        
+        // Sort the remaining properties into numeric layers and leftovers for JSON
+        const layers = new Map();
+        const extras = [];
+        
+        particles.forEach((p, index) => {
+            for (const [key, value] of Object.entries(p)) {
+                if (key === 'x' || key === 'y' || key === 'type' || value === undefined) continue;
+                
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    if (!layers.has(key)) layers.set(key, new Array(particles.length).fill(null));
+                    layers.get(key)[index] = value;
+                } else {
+                    extras.push([index, key, value]);
+                }
+            }
+        });
+        
+        writer.varint(layers.size);
+        for (const [key, values] of layers) {
+            writer.string(key);
+            this._writeLayer(writer, values, this.QUANTIZED[key]);
+        }
+        
+        writer.string(JSON.stringify({ ...meta, extras }));
+        
+        return writer.toBytes();
+    },
+    
+    /**
+     * Decode bytes from encodeBytes
+     * @param {Uint8Array} bytes - Encoded state
+     * @returns {Object} State with width, height, particles and any extra fields
+     * @throws {Error} If the bytes are not an encoded state
+     */
+    decodeBytes: function(bytes) {
+        const reader = this._createReader(bytes);
+        
+        if (reader.string() !== this.MAGIC) throw new Error('Not an OpenPowderGame state');
+        
+        const version = reader.byte();
+        if (version > this.VERSION) throw new Error(`Unsupported encoding version ${version}`);
+        
+        const width = reader.varint();
+        const height = reader.varint();
+        if (width === 0 || height === 0 || width * height > this.MAX_CELLS) {
+            throw new Error(`Unsupported grid size ${width}×${height}`);
+        }
+        
+        const palette = [];
+        const paletteSize = reader.varint();
+        for (let i = 0; i < paletteSize; i++) palette.push(reader.string());
+        
+        // Rebuild particles in row order from the cell types
+        const cells = this._readRuns(reader, width * height);
+        const particles = [];
+        
+        for (let i = 0; i < cells.length; i++) {
+            if (cells[i] > palette.length) throw new Error('Encoded state is corrupt');
+            
+            if (cells[i] > 0) {
+                particles.push({ x: i % width, y: Math.floor(i / width), type: palette[cells[i] - 1] });
+            }
+        }
+        
+        const layerCount = reader.varint();
+        for (let i = 0; i < layerCount; i++) {
+            const key = reader.string();
+            if (!this._isPropertyKey(key)) throw new Error(`Invalid particle property "${key}"`);
+            
+            const values = this._readLayer(reader, particles.length, this.QUANTIZED[key]);
+            
+            values.forEach((value, index) => {
+                if (value === null) return;
+                if (!Particles.isValidProperty(key, value)) throw new Error('Encoded state is corrupt');
+                
+                particles[index][key] = value;
+            });
+        }
+        
+        const { extras, ...meta } = JSON.parse(reader.string());
+        for (const extra of Array.isArray(extras) ? extras : []) {
+            const [index, key, value] = Array.isArray(extra) ? extra : [];
+            
+            if (!Number.isInteger(index) || index < 0 || index >= particles.length ||
+                !this._isPropertyKey(key) || !Particles.isValidProperty(key, value)) {
+                throw new Error('Encoded state is corrupt');
+            }
+            
+            particles[index][key] = value;
+        }
+        
+        return { ...meta, width, height, particles };
+    },
+    
+    /**
+     * Encode a state as a base64 string, for storing as text
+     * @param {Object} state - State to encode
+     * @returns {string} Base64 text
+     */
+    encode: function(state) {
+        const bytes = this.encodeBytes(state);
+        let binary = '';
+        
+        // Build the string in chunks; one huge apply call can overflow the stack
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        
+        return btoa(binary);
+    },
+    
+    /**
+     * Decode a base64 string from encode
+     * @param {string} text - Base64 text
+     * @returns {Object} Decoded state
+     * @throws {Error} If the text is not an encoded state
+     */
+    decode: function(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        
+        return this.decodeBytes(bytes);
+    },
+    
+    /**
+     * Check that a decoded name is safe to set as a particle property
+     * @param {*} key - Property name from the encoded state
+     * @returns {boolean} True if it may be set
+     * @private
+     */
+    _isPropertyKey: function(key) {
+        return typeof key === 'string' && key !== '' && !this.RESERVED_KEYS.includes(key);
+    },
+    
+    /**
+     * Write cell values as (value, length) runs
+     * @param {Object} writer - Byte writer
+     * @param {Uint16Array} cells - Value per cell
+     * @private
+     */
+    _writeRuns: function(writer, cells) {
+        let start = 0;
+        
+        for (let i = 1; i <= cells.length; i++) {
+            if (i === cells.length || cells[i] !== cells[start]) {
+                writer.varint(cells[start]);
+                writer.varint(i - start);
+                start = i;
+            }
+        }
+    },
+    
+    /**
+     * Read (value, length) runs back into cell values
+     * @param {Object} reader - Byte reader
+     * @param {number} length - Number of cells
+     * @returns {Uint16Array} Value per cell
+     * @private
+     */
+    _readRuns: function(reader, length) {
+        const cells = new Uint16Array(length);
+        let index = 0;
+        
+        while (index < length) {
+            const value = reader.varint();
+            const run = reader.varint();
+            if (run === 0) throw new Error('Encoded state is corrupt');
+            
+            cells.fill(value, index, index + run);
+            index += run;
+        }
+        
+        return cells;
+    },
+    
+    /**
+     * Write one numeric property for every particle.
+     * Runs are: absent, one repeated value, or a stretch of differing values.
+     * @param {Object} writer - Byte writer
+     * @param {Array} values - Value per particle, null where the particle lacks it
+     * @param {number} [scale] - Store as a signed byte of value * scale instead of a float
+     * @private
+     */
+    _writeLayer: function(writer, values, scale) {
+        // Compare values as they will be stored
+        const stored = values.map(value => {
+            if (value === null) return null;
+            return scale ? Utils.clamp(Math.round(value * scale), -127, 127) : Math.fround(value);
+        });
+        const writeValue = scale ? value => writer.int8(value) : value => writer.float32(value);
+        
+        let i = 0;
+        while (i < stored.length) {
+            let end = i + 1;
+            
+            if (stored[i] === null) {
+                while (end < stored.length && stored[end] === null) end++;
+                writer.varint(end - i);
+                writer.byte(0);
+            } else if (end < stored.length && stored[end] === stored[i]) {
+                while (end < stored.length && stored[end] === stored[i]) end++;
+                writer.varint(end - i);
+                writer.byte(1);
+                writeValue(stored[i]);
+            } else {
+                // Stop before a gap or before a repeat worth its own run
+                while (end < stored.length && stored[end] !== null && stored[end] !== stored[end - 1] &&
+                    !(end + 1 < stored.length && stored[end + 1] === stored[end])) {
+                    end++;
+                }
+                writer.varint(end - i);
+                writer.byte(2);
+                for (let j = i; j < end; j++) writeValue(stored[j]);
+            }
+            
+            i = end;
+        }
+    },
+    
+    /**
+     * Read a numeric property layer written by _writeLayer
+     * @param {Object} reader - Byte reader
+     * @param {number} length - Number of particles
+     * @param {number} [scale] - Scale the values were stored with
+     * @returns {Array} Value per particle, null where absent
+     * @private
+     */
+    _readLayer: function(reader, length, scale) {
+        const values = new Array(length).fill(null);
+        const readValue = scale ? () => reader.int8() / scale : () => reader.float32();
+        let index = 0;
+        
+        while (index < length) {
+            const run = reader.varint();
+            const mode = reader.byte();
+            if (run === 0) throw new Error('Encoded state is corrupt');
+            
+            if (mode === 1) {
+                values.fill(readValue(), index, index + run);
+            } else if (mode === 2) {
+                for (let j = 0; j < run; j++) values[index + j] = readValue();
+            }
+            
+            index += run;
+        }
+        
+        return values;
+    },
+    
+    /**
+     * Create a growable byte buffer
+     * @returns {Object} Writer with byte, int8, varint, float32, string and toBytes methods
+     * @private
+     */
+    _createWriter: function() {
+        let buffer = new Uint8Array(1024);
+        let length = 0;
+        const scratch = new DataView(new ArrayBuffer(4));
+        const encoder = new TextEncoder();
+        
+        const ensure = (extra) => {
+            if (length + extra <= buffer.length) return;
+            
+            const grown = new Uint8Array(Math.max(buffer.length * 2, length + extra));
+            grown.set(buffer);
+            buffer = grown;
+        };
+        
+        const writer = {
+            byte: (value) => {
+                ensure(1);
+                buffer[length++] = value;
+            },
+            int8: (value) => writer.byte(value & 0xff),
+            // Unsigned LEB128: 7 bits per byte, high bit set while more follow
+            varint: (value) => {
+                while (value >= 0x80) {
+                    writer.byte((value % 0x80) | 0x80);
+                    value = Math.floor(value / 0x80);
+                }
+                writer.byte(value);
+            },
+            float32: (value) => {
+                scratch.setFloat32(0, value, true);
+                for (let i = 0; i < 4; i++) writer.byte(scratch.getUint8(i));
+            },
+            string: (text) => {
+                const bytes = encoder.encode(text);
+                writer.varint(bytes.length);
+                ensure(bytes.length);
+                buffer.set(bytes, length);
+                length += bytes.length;
+            },
+            toBytes: () => buffer.slice(0, length)
+        };
+        
+        return writer;
+    },
+    
+    /**
+     * Create a reader over encoded bytes
+     * @param {Uint8Array} bytes - Bytes to read
+     * @returns {Object} Reader with byte, int8, varint, float32 and string methods
+     * @private
+     */
+    _createReader: function(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        let offset = 0;
+        
+        const reader = {
+            byte: () => {
+                if (offset >= bytes.length) throw new Error('Encoded state is truncated');
+                return bytes[offset++];
+            },
+            int8: () => view.getInt8(offset++),
+            varint: () => {
+                let value = 0;
+                let multiplier = 1;
+                let byte;
+                
+                do {
+                    byte = reader.byte();
+                    value += (byte & 0x7f) * multiplier;
+                    multiplier *= 0x80;
+                } while (byte & 0x80);
+                
+                return value;
+            },
+            float32: () => {
+                const value = view.getFloat32(offset, true);
+                offset += 4;
+                return value;
+            },
+            string: () => {
+                const size = reader.varint();
+                if (offset + size > bytes.length) throw new Error('Encoded state is truncated');
+                
+                const text = decoder.decode(bytes.subarray(offset, offset + size));
+                offset += size;
+                return text;
+            }
+        };
+        
+        return reader;
+    }
+};
@@ -15,6 +15,12 @@ class Engine {
         this.grid = this._createGrid();
         this.active = true;  // Flag to track if simulation is running
         this.gravity = 'down'; // Default gravity direction
+        this.gravityX = 0; // Gravity vector, one cell per step along the gravity direction
+        this.gravityY = 1;
+        this.gravityStrength = 0.2; // Velocity gained per update by an element with gravity 1
+        this.airResistance = 0.1;   // Velocity lost per update by an element with no inertia
+        this.maxVelocity = 6;       // Fastest a particle can travel, in cells per update
+        this.maxFlowDistance = 4;   // Furthest a thin liquid spreads sideways per update
         this.speed = 1; // Simulation speed multiplier
         this.updateCount = 0; // Track how many updates we've done
         
@@ -22,10 +28,27 @@ class Engine {
         this.undoStack = [];
         this.redoStack = [];
         this.maxUndoSteps = 10;
+        this._batching = false; // Inside batch(), edits share one undo step
         
         // Particle stats
         this.particleCount = 0;
         
+        // Temperature field (degrees per cell, travels with the particle occupying it)
+        this.ambientTemperature = 20;
+        this.minTemperature = -273;    // Absolute zero
+        this.maxTemperature = 10000;   // Far hotter than any element needs
+        this.airHeatConduction = 0.05; // How readily empty cells pass heat along
+        this.airCooling = 0.02;        // How quickly empty cells return to ambient
+        this.heatInterval = 2;         // Run heat transfer every N updates
+        this.temperature = this._createTemperatureGrid();
+        
+        // Coarse wind and pressure field
+        this.air = new Air(width, height);
+        
+        // Electricity: how long a conductor stays charged, then rests before it can recharge
+        this.chargeDuration = 4;
+        this.chargeCooldown = 8;
+        
         // Performance tracking
         this.activeRegions = new Set(); // Set of active grid cells
     }
@@ -39,6 +62,17 @@ class Engine {
         return Array(this.height).fill().map(() => Array(this.width).fill(null));
     }
     
+    /**
+     * Create a new temperature grid at ambient temperature
+     * @returns {Array} 2D array of Float32Array rows
+     * @private
+     */
+    _createTemperatureGrid() {
+        return Array(this.height).fill().map(() => 
+            new Float32Array(this.width).fill(this.ambientTemperature)
+        );
+    }
+    
     /**
      * Reset the simulation with a new empty grid
      */
@@ -47,6 +81,8 @@ class Engine {
         this._saveUndoState();
         
         this.grid = this._createGrid();
+        this.temperature = this._createTemperatureGrid();
+        this.air.reset();
         this.particleCount = 0;
         this.activeRegions.clear();
     }
@@ -56,17 +92,17 @@ class Engine {
      * @private
      */
     _saveUndoState() {
+        // The batch already saved the state from before all its edits
+        if (this._batching) return;
+        
         // Don't save if we just restored a state (would be redundant)
         if (this._skipNextUndo) {
             this._skipNextUndo = false;
             return;
         }
         
-        // Create a compressed representation of the current grid state
-        const compressedGrid = this.exportCompressedState();
-        
-        // Save to undo stack
-        this.undoStack.push(compressedGrid);
+        // Undo steps are kept binary-encoded, which is far smaller than the state objects
+        this.undoStack.push(Codec.encodeBytes(this.exportCompressedState()));
         
         // Limit stack size
         if (this.undoStack.length > this.maxUndoSteps) {
@@ -85,13 +121,13 @@ class Engine {
         if (this.undoStack.length === 0) return false;
         
         // Move current state to redo stack
-        const currentState = this.exportCompressedState();
+        const currentState = Codec.encodeBytes(this.exportCompressedState());
         this.redoStack.push(currentState);
         
         // Restore previous state
         const previousState = this.undoStack.pop();
         this._skipNextUndo = true; // Don't save this restoration as an undo step
-        this.importCompressedState(previousState);
+        this.importCompressedState(Codec.decodeBytes(previousState));
         
         return true;
     }
@@ -104,13 +140,13 @@ class Engine {
         if (this.redoStack.length === 0) return false;
         
         // Move current state to undo stack
-        const currentState = this.exportCompressedState();
+        const currentState = Codec.encodeBytes(this.exportCompressedState());
         this.undoStack.push(currentState);
         
         // Restore next state
         const nextState = this.redoStack.pop();
         this._skipNextUndo = true; // Don't save this restoration as an undo step
-        this.importCompressedState(nextState);
+        this.importCompressedState(Codec.decodeBytes(nextState));
         
         return true;
     }
@@ -127,14 +163,10 @@ class Engine {
             for (let x = 0; x < this.width; x++) {
                 const particle = this.grid[y][x];
                 if (particle) {
-                    // Store minimal needed information
                     particles.push({
-                        x, y, 
-                        type: particle.type,
-                        // Preserve any special properties needed for behavior
-                        ...(particle.life !== undefined && { life: particle.life }),
-                        ...(particle.burning !== undefined && { burning: particle.burning }),
-                        ...(particle.corrosion !== undefined && { corrosion: particle.corrosion })
+                        x, y,
+                        ...this._serializeParticle(particle),
+                        ...(this.temperature[y][x] !== this.ambientTemperature && { temperature: this.temperature[y][x] })
                     });
                 }
             }
@@ -155,26 +187,118 @@ class Engine {
     importCompressedState(state) {
         // Reset grid
         this.grid = this._createGrid();
-        this.particleCount = state.count;
+        this.temperature = this._createTemperatureGrid();
+        this.air.reset();
+        this.particleCount = 0;
         this.activeRegions.clear();
         
-        // Add particles back
+        // Add particles back, dropping any outside the grid (states from other grid sizes)
         for (const p of state.particles) {
+            if (!Number.isInteger(p.x) || !Number.isInteger(p.y) || !Utils.inBounds(p.x, p.y, this.width, this.height)) continue;
+            
+            const { temperature, ...properties } = this._serializeParticle(p);
+            
+            // States can come from files and links: drop properties element code can't use,
+            // and take anything the element needs from a fresh particle
+            for (const key of Object.keys(properties)) {
+                if (!Particles.isValidProperty(key, properties[key])) delete properties[key];
+            }
+            
             this.grid[p.y][p.x] = {
-                type: p.type,
+                ...Particles.createParticle(p.type, p.x, p.y),
+                ...properties,
                 x: p.x,
                 y: p.y,
-                updated: false,
-                ...(p.life !== undefined && { life: p.life }),
-                ...(p.burning !== undefined && { burning: p.burning }),
-                ...(p.corrosion !== undefined && { corrosion: p.corrosion })
+                updated: false
             };
             
+            this.particleCount++;
+            
+            if (Number.isFinite(temperature)) {
+                this.temperature[p.y][p.x] = temperature;
+            }
+            
             // Mark region as active
             this._markRegionActive(p.x, p.y);
         }
     }
     
+    /**
+     * Copy a particle's properties for storing.
+     * Position and per-frame flags are left out, as are velocities of zero.
+     * @param {Object} particle - Particle to copy
+     * @returns {Object} Copy with nested objects (like growth and dir) copied too
+     * @private
+     */
+    _serializeParticle(particle) {
+        const copy = {};
+        
+        for (const [key, value] of Object.entries(particle)) {
+            if (key === 'x' || key === 'y' || key === 'updated') continue;
+            if ((key === 'vx' || key === 'vy') && !value) continue;
+            
+            if (Array.isArray(value)) {
+                copy[key] = [...value];
+            } else if (value !== null && typeof value === 'object') {
+                copy[key] = { ...value };
+            } else {
+                copy[key] = value;
+            }
+        }
+        
+        return copy;
+    }
+    
+    /**
+     * Get the simulation settings that belong with a saved creation
+     * @returns {Object} Settings: gravity, speed, ambient temperature and update count
+     */
+    exportSettings() {
+        return {
+            gravity: this.gravity,
+            speed: this.speed,
+            ambientTemperature: this.ambientTemperature,
+            updateCount: this.updateCount
+        };
+    }
+    
+    /**
+     * Apply saved simulation settings, keeping the current value of any that are missing.
+     * Settings can come from links, so numbers are checked and kept within range.
+     * @param {Object} settings - Settings from exportSettings
+     */
+    importSettings(settings) {
+        if (settings.gravity !== undefined) this.setGravity(settings.gravity);
+        if (Number.isFinite(settings.speed)) this.setSpeed(settings.speed);
+        if (Number.isFinite(settings.ambientTemperature)) {
+            this.ambientTemperature = Utils.clamp(settings.ambientTemperature, this.minTemperature, this.maxTemperature);
+        }
+        if (Number.isInteger(settings.updateCount)) this.updateCount = Math.max(0, settings.updateCount);
+    }
+    
+    /**
+     * Export everything needed to restore the simulation: particles plus settings
+     * @returns {Object} Compressed state with a settings object
+     */
+    exportState() {
+        return {
+            ...this.exportCompressedState(),
+            settings: this.exportSettings()
+        };
+    }
+    
+    /**
+     * Restore the simulation from exportState output. Undo brings back the scene it replaced.
+     * @param {Object} state - Compressed state with a settings object
+     */
+    importState(state) {
+        this._saveUndoState();
+        
+        // Settings first, so the temperature grid starts at the saved ambient temperature
+        this.importSettings(state.settings || {});
+        this.importCompressedState(state);
+    }
+    
     /**
      * Update the simulation by one step
      * @returns {number} Number of particles updated
@@ -237,8 +361,28 @@ class Engine {
                 continue; // Skip further updates if interaction occurred
             }
             
+            // Light particles get blown around by the wind instead of moving themselves,
+            // but their update hook (burning, ageing) still runs where they land
+            const blownTo = this._applyWind(x, y, elementType);
+            if (blownTo) {
+                this._markRegionActive(x, y, newActiveRegions);
+                if (elementType.update) elementType.update(this, blownTo[0], blownTo[1]);
+                this._markRegionActive(blownTo[0], blownTo[1], newActiveRegions);
+                continue;
+            }
+            
+            // Denser particles sink through lighter fluids; like wind, sinking replaces
+            // the particle's own movement but not its update hook
+            const sankTo = this._applyDensity(x, y, elementType);
+            if (sankTo) {
+                this._markRegionActive(x, y, newActiveRegions);
+                if (elementType.update) elementType.update(this, sankTo[0], sankTo[1]);
+                this._markRegionActive(sankTo[0], sankTo[1], newActiveRegions);
+                continue;
+            }
+            
             // Update according to element behavior
-            if (elementType.update && elementType.update(this, x, y)) {
+            if (Particles.updateParticle(this, x, y, elementType)) {
                 this._markRegionActive(x, y, newActiveRegions);
             }
             
@@ -251,6 +395,14 @@ class Engine {
             }
         }
         
+        // Move the air after particles have had their turn
+        this.air.update(this);
+        
+        // Heat transfer is throttled since it touches every cell
+        if (this.updateCount % this.heatInterval === 0) {
+            this._updateTemperature();
+        }
+        
         // Add new active regions to the tracking set
         for (const region of newActiveRegions) {
             this.activeRegions.add(region);
@@ -300,6 +452,227 @@ class Engine {
         }
     }
     
+    /**
+     * Push a particle one cell along the local wind, scaled by its element's air drag
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the particle
+     * @returns {Array|null} [x, y] the particle was moved to, or null if it stayed
+     * @private
+     */
+    _applyWind(x, y, elementType) {
+        if (!elementType.airDrag || elementType.static) return null;
+        
+        const [vx, vy] = this.air.getVelocity(x, y);
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        
+        // Ignore gentle drafts
+        if (speed < 0.1 || Math.random() >= speed * elementType.airDrag) {
+            return null;
+        }
+        
+        // Step toward the nearest of the eight directions
+        const nx = x + Math.round(vx / speed);
+        const ny = y + Math.round(vy / speed);
+        
+        if (this.isEmpty(nx, ny) && this.moveParticle(x, y, nx, ny)) {
+            return [nx, ny];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Let a particle sink by swapping with a lighter fluid below it (relative to gravity)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the particle
+     * @returns {Array|null} [x, y] the particle sank to, or null if it stayed
+     * @private
+     */
+    _applyDensity(x, y, elementType) {
+        // Only falling powders, liquids and gases can sink
+        if (elementType.static || !this.hasGravity() ||
+            !['solid', 'liquid', 'gas'].includes(elementType.state)) {
+            return null;
+        }
+        
+        // Try straight down first, then one diagonal
+        const direction = Math.random() < 0.5 ? 1 : -1;
+        
+        for (const side of [0, direction]) {
+            const [nx, ny] = this.relativeCell(x, y, 1, side);
+            
+            // Empty cells are left to the element's own movement
+            if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height || !this.grid[ny][nx]) {
+                continue;
+            }
+            
+            const belowType = Particles.ELEMENTS[this.grid[ny][nx].type];
+            
+            // Only fluids can be pushed aside
+            if (!belowType || belowType.static ||
+                (belowType.state !== 'liquid' && belowType.state !== 'gas')) {
+                continue;
+            }
+            
+            if (elementType.density <= belowType.density) continue;
+            
+            // Bigger density differences sink faster
+            if (Math.random() < (elementType.density - belowType.density) / elementType.density &&
+                this.swapParticles(x, y, nx, ny)) {
+                return [nx, ny];
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Conduct heat between neighbouring cells, apply heat sources, then any transitions
+     * the new temperatures set off
+     * @private
+     */
+    _updateTemperature() {
+        const width = this.width;
+        const height = this.height;
+        const current = this.temperature;
+        
+        // Reuse the back buffer between passes to avoid garbage
+        if (!this._temperatureBuffer || this._temperatureBuffer.length !== height) {
+            this._temperatureBuffer = this._createTemperatureGrid();
+        }
+        const next = this._temperatureBuffer;
+        
+        // Look up each cell's conductivity once per pass
+        if (!this._conductionBuffer || this._conductionBuffer.length !== width * height) {
+            this._conductionBuffer = new Float32Array(width * height);
+        }
+        const conduction = this._conductionBuffer;
+        const sources = [];
+        const transitioning = [];
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const particle = this.grid[y][x];
+                const elementType = particle && Particles.ELEMENTS[particle.type];
+                
+                if (!elementType) {
+                    conduction[y * width + x] = this.airHeatConduction;
+                    continue;
+                }
+                
+                conduction[y * width + x] = elementType.heatConduction !== undefined ?
+                    elementType.heatConduction : this.airHeatConduction;
+                
+                // Remember heat sources (fire, spark) to apply after conduction
+                if (elementType.heat !== undefined) {
+                    sources.push([x, y, elementType]);
+                }
+                
+                // Elements that melt, boil, freeze or ignite are checked once the pass is done,
+                // so no cell changes type while its neighbours are still conducting with it
+                if (elementType.transitions) {
+                    transitioning.push([x, y, elementType]);
+                }
+            }
+        }
+        
+        // Each cell moves toward its neighbours, weighted by the weaker conductor
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                const k = conduction[index];
+                const t = current[y][x];
+                let delta = 0;
+                
+                if (x > 0) delta += Math.min(k, conduction[index - 1]) * (current[y][x - 1] - t);
+                if (x < width - 1) delta += Math.min(k, conduction[index + 1]) * (current[y][x + 1] - t);
+                if (y > 0) delta += Math.min(k, conduction[index - width]) * (current[y - 1][x] - t);
+                if (y < height - 1) delta += Math.min(k, conduction[index + width]) * (current[y + 1][x] - t);
+                
+                // Empty space slowly returns to ambient temperature
+                if (!this.grid[y][x]) {
+                    delta += (this.ambientTemperature - t) * this.airCooling * 4;
+                }
+                
+                // Averaging over four neighbours keeps the update stable
+                next[y][x] = t + delta * 0.25;
+            }
+        }
+        
+        this._temperatureBuffer = current;
+        this.temperature = next;
+        
+        // Heat sources hold their own temperature and radiate into nearby cells
+        for (const [x, y, elementType] of sources) {
+            const radius = elementType.heatRadius || 0;
+            next[y][x] = elementType.heat;
+            
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    
+                    if ((dx === 0 && dy === 0) || nx < 0 || nx >= width || ny < 0 || ny >= height) {
+                        continue;
+                    }
+                    
+                    // Closer cells warm up faster
+                    const falloff = 0.1 / Math.max(Math.abs(dx), Math.abs(dy));
+                    next[ny][nx] += (elementType.heat - next[ny][nx]) * falloff;
+                }
+            }
+        }
+        
+        for (const [x, y, elementType] of transitioning) {
+            this._applyTransitions(x, y, elementType);
+        }
+    }
+    
+    /**
+     * Change a particle's type if its temperature crosses one of its element's transitions.
+     * Transitions are declared as { above|below: degrees, to: type|null, chance? }, or with
+     * spawn: type instead of to, to give off that element beside the particle and leave it be.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the particle
+     * @returns {boolean} True if the particle changed
+     * @private
+     */
+    _applyTransitions(x, y, elementType) {
+        const temperature = this.temperature[y][x];
+        
+        for (const transition of elementType.transitions) {
+            const triggered = (transition.above !== undefined && temperature > transition.above) ||
+                (transition.below !== undefined && temperature < transition.below);
+            
+            if (!triggered) continue;
+            
+            // Optional chance spreads a transition out over several passes;
+            // when it doesn't fire, later transitions still get their turn
+            if (transition.chance !== undefined && Math.random() >= transition.chance) {
+                continue;
+            }
+            
+            // Hot wood gives off flames and leaves the burning down to its reactions
+            if (transition.spawn) {
+                const [nx, ny] = this.relativeCell(x, y, -1, 0);
+                if (this.isEmpty(nx, ny)) this.createParticle(nx, ny, transition.spawn);
+                return false;
+            }
+            
+            // A null target means the particle simply disappears
+            if (transition.to) {
+                return this.changeParticleType(x, y, transition.to);
+            }
+            
+            return this.removeParticle(x, y);
+        }
+        
+        return false;
+    }
+    
     /**
      * Get update order from bottom to top
      * @returns {Array} Array of [x, y] coordinates
@@ -448,9 +821,10 @@ class Engine {
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {string} type - Element type
+     * @param {Object} [props] - Extra properties to set on the particle (e.g. a fan's direction)
      * @returns {boolean} True if particle was created
      */
-    createParticle(x, y, type) {
+    createParticle(x, y, type, props) {
         // Ensure coordinates are in bounds
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
             return false;
@@ -464,9 +838,18 @@ class Engine {
         // Create the particle
         const particle = Particles.createParticle(type, x, y);
         if (particle) {
+            if (props) {
+                Object.assign(particle, props);
+            }
+            
             this.grid[y][x] = particle;
             this.particleCount++;
             
+            // New particles start at their element's temperature, or ambient
+            const elementType = Particles.ELEMENTS[type];
+            this.temperature[y][x] = elementType.temperature !== undefined ?
+                elementType.temperature : this.ambientTemperature;
+            
             // Mark region as active
             this._markRegionActive(x, y);
             
@@ -532,6 +915,11 @@ class Engine {
             // Clear the source position
             this.grid[fromY][fromX] = null;
             
+            // Heat travels with the particle, the vacated cell takes the destination's air
+            const temperature = this.temperature[toY][toX];
+            this.temperature[toY][toX] = this.temperature[fromY][fromX];
+            this.temperature[fromY][fromX] = temperature;
+            
             // Mark both regions as active
             this._markRegionActive(fromX, fromY);
             this._markRegionActive(toX, toY);
@@ -542,6 +930,455 @@ class Engine {
         return false;
     }
     
+    /**
+     * Accelerate a particle along gravity and move it by its velocity.
+     * Fast particles cross several cells per update and stop at the first obstacle on the way.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the particle was moved
+     */
+    applyVelocity(x, y) {
+        const particle = this.grid[y][x];
+        const elementType = particle && Particles.ELEMENTS[particle.type];
+        if (!elementType) return false;
+        
+        // Gravity pulls according to the element's weight (negative values rise)
+        const pull = (elementType.gravity || 0) * this.gravityStrength;
+        let vx = (particle.vx || 0) + this.gravityX * pull;
+        let vy = (particle.vy || 0) + this.gravityY * pull;
+        
+        // Air resistance: low-inertia particles lose momentum quickly
+        const inertia = elementType.inertia !== undefined ? elementType.inertia : 1;
+        const retention = 1 - (1 - inertia) * this.airResistance;
+        vx = Utils.clamp(vx * retention, -this.maxVelocity, this.maxVelocity);
+        vy = Utils.clamp(vy * retention, -this.maxVelocity, this.maxVelocity);
+        
+        particle.vx = vx;
+        particle.vy = vy;
+        
+        // Whole cells to travel this update, fractions carry over by chance
+        const stepX = this._randomRound(vx);
+        const stepY = this._randomRound(vy);
+        if (stepX === 0 && stepY === 0) return false;
+        
+        // Walk the path until something is in the way
+        const path = Utils.getLine(x, y, x + stepX, y + stepY);
+        let destX = x;
+        let destY = y;
+        
+        for (let i = 1; i < path.length; i++) {
+            const [px, py] = path[i];
+            
+            if (!this.isEmpty(px, py)) {
+                // Hitting something stops the particle dead
+                particle.vx = 0;
+                particle.vy = 0;
+                break;
+            }
+            
+            destX = px;
+            destY = py;
+        }
+        
+        if (destX === x && destY === y) return false;
+        
+        return this.moveParticle(x, y, destX, destY);
+    }
+    
+    /**
+     * Shared movement for powders: fall with momentum, then slide off slopes.
+     * The element's spreadChance is how readily it slides, so lower values pile steeper.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the powder
+     * @returns {boolean} True if the powder moved or is still falling
+     */
+    movePowder(x, y, elementType) {
+        if (this.applyVelocity(x, y)) return true;
+        
+        // Without gravity nothing pulls the powder anywhere
+        if (!this.hasGravity()) return false;
+        
+        // Still picking up speed with open space below
+        const [downX, downY] = this.relativeCell(x, y, 1, 0);
+        if (this.isEmpty(downX, downY)) return true;
+        
+        // Random direction preference for natural-looking piles
+        const direction = Math.random() < 0.5 ? 1 : -1;
+        
+        // Try either diagonal, starting with the preferred side
+        for (const side of [direction, -direction]) {
+            const [diagX, diagY] = this.relativeCell(x, y, 1, side);
+            if (this.isEmpty(diagX, diagY) && Math.random() < elementType.spreadChance) {
+                return this.moveParticle(x, y, diagX, diagY);
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Shared movement for gases: rise with momentum, then drift up and sideways.
+     * The element's dispersion is the chance to drift each update.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the gas
+     * @returns {boolean} True if the gas moved or is still rising
+     */
+    moveGas(x, y, elementType) {
+        // Gases rise because their gravity is negative
+        if (this.applyVelocity(x, y)) return true;
+        
+        // Still picking up speed with open space above
+        const [upX, upY] = this.relativeCell(x, y, -1, 0);
+        if (this.isEmpty(upX, upY) && this.hasGravity()) return true;
+        
+        // Random dispersion direction
+        const direction = Math.random() < 0.5 ? 1 : -1;
+        
+        // Try diagonally upward on either side, then straight sideways
+        const options = [
+            this.relativeCell(x, y, -1, direction),
+            this.relativeCell(x, y, -1, -direction),
+            this.relativeCell(x, y, 0, direction)
+        ];
+        
+        for (const [toX, toY] of options) {
+            if (this.isEmpty(toX, toY) && Math.random() < elementType.dispersion) {
+                return this.moveParticle(x, y, toX, toY);
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Shared movement for liquids: fall with momentum, slide off slopes, then spread sideways.
+     * The element's viscosity (0 runny to 1 nearly solid) controls how often it flows at all
+     * and how far it runs sideways in one update; dispersion is the chance to spread sideways.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the liquid
+     * @returns {boolean} True if the liquid moved or is still falling
+     */
+    moveLiquid(x, y, elementType) {
+        if (this.applyVelocity(x, y)) return true;
+        
+        // Still picking up speed with open space below
+        const [downX, downY] = this.relativeCell(x, y, 1, 0);
+        if (this.isEmpty(downX, downY) && this.hasGravity()) return true;
+        
+        // Thick liquids hesitate before flowing
+        const viscosity = elementType.viscosity || 0;
+        if (Math.random() < viscosity) return false;
+        
+        // Randomly decide which way to try flowing first
+        const flowDirection = Math.random() < 0.5 ? 1 : -1;
+        
+        // Slide diagonally down either side
+        for (const side of [flowDirection, -flowDirection]) {
+            const [diagX, diagY] = this.relativeCell(x, y, 1, side);
+            if (this.isEmpty(diagX, diagY)) {
+                return this.moveParticle(x, y, diagX, diagY);
+            }
+        }
+        
+        if (Math.random() >= (elementType.dispersion || 0)) return false;
+        
+        // Spread sideways, thin liquids running several cells at once
+        const distance = Math.max(1, Math.round((1 - viscosity) * this.maxFlowDistance));
+        
+        for (const side of [flowDirection, -flowDirection]) {
+            let reach = 0;
+            
+            for (let step = 1; step <= distance; step++) {
+                const [sideX, sideY] = this.relativeCell(x, y, 0, side * step);
+                if (!this.isEmpty(sideX, sideY)) break;
+                
+                reach = step;
+                
+                // Stop at a drop so the liquid pours over the edge
+                const [belowX, belowY] = this.relativeCell(x, y, 1, side * step);
+                if (this.isEmpty(belowX, belowY)) break;
+            }
+            
+            if (reach > 0) {
+                const [toX, toY] = this.relativeCell(x, y, 0, side * reach);
+                return this.moveParticle(x, y, toX, toY);
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Charge a conductive particle so the current can travel through it
+     * @param {number} x - X coordinate of the conductor
+     * @param {number} y - Y coordinate of the conductor
+     * @param {number} fromX - X coordinate the charge comes from
+     * @param {number} fromY - Y coordinate the charge comes from
+     * @returns {boolean} True if the particle took the charge
+     */
+    energize(x, y, fromX, fromY) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return false;
+        }
+        
+        const particle = this.grid[y][x];
+        const elementType = particle && Particles.ELEMENTS[particle.type];
+        if (!elementType || !elementType.conductive) return false;
+        
+        // Conductors that just carried a charge need to rest, so current can't bounce back
+        if (particle.charge > 0 || particle.cooldown > 0) return false;
+        
+        // Some conductors only take charge when they're switched on
+        if (elementType.acceptsCharge && !elementType.acceptsCharge(particle)) return false;
+        
+        // One-way conductors only take charge arriving from behind
+        if (elementType.directional) {
+            const [dirX, dirY] = this.getDirection(x, y);
+            if ((x - fromX) * dirX + (y - fromY) * dirY <= 0) return false;
+        }
+        
+        particle.charge = this.chargeDuration;
+        particle.chargedAt = this.updateCount;
+        this._markRegionActive(x, y);
+        
+        return true;
+    }
+    
+    /**
+     * Pass a conductor's charge to its neighbours and count down its charge and rest time.
+     * Conductive elements call this from their update.
+     * @param {number} x - X coordinate of the conductor
+     * @param {number} y - Y coordinate of the conductor
+     * @returns {boolean} True while the conductor is charged or resting
+     */
+    conduct(x, y) {
+        const particle = this.grid[y][x];
+        const elementType = Particles.ELEMENTS[particle.type];
+        
+        if (particle.charge > 0) {
+            // Charge moves one cell per update, so wait if it only just arrived
+            if (particle.chargedAt === this.updateCount) return true;
+            
+            // One-way conductors only pass charge the way they face
+            const direction = elementType.directional ? this.getDirection(x, y) : null;
+            
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    if (direction && dx * direction[0] + dy * direction[1] <= 0) continue;
+                    
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    
+                    if (this.energize(nx, ny, x, y)) continue;
+                    
+                    this._powerNeighbor(nx, ny, x, y);
+                }
+            }
+            
+            particle.charge--;
+            if (particle.charge === 0) {
+                particle.cooldown = this.chargeCooldown;
+            }
+            
+            return true;
+        }
+        
+        if (particle.cooldown > 0) {
+            particle.cooldown--;
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Set off an explosive particle using its element's blast settings
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if something exploded
+     */
+    detonate(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height || !this.grid[y][x]) {
+            return false;
+        }
+        
+        const elementType = Particles.ELEMENTS[this.grid[y][x].type];
+        if (!elementType || !elementType.explosive) return false;
+        
+        this.removeParticle(x, y);
+        this.explode(x, y, elementType.blastRadius, elementType.blastPower);
+        
+        return true;
+    }
+    
+    /**
+     * Blow up everything within a radius. Particles inside are destroyed and replaced by
+     * fire and smoke, particles in a ring beyond it are flung outward, and the air gets a
+     * pressure wave. Explosives caught in the blast go off a moment later.
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Radius of destruction
+     * @param {number} power - Strength of the blast (heat, throw speed and pressure)
+     */
+    explode(x, y, radius, power) {
+        const reach = radius * 2; // The shockwave travels past the destroyed area
+        
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                
+                if (distance > reach || nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) {
+                    continue;
+                }
+                
+                const particle = this.grid[ny][nx];
+                const elementType = particle && Particles.ELEMENTS[particle.type];
+                
+                if (distance <= radius) {
+                    if (elementType) {
+                        // Walls and the like shrug off explosions
+                        if (elementType.indestructible) continue;
+                        
+                        // Chain reaction: other explosives go off after a short fuse
+                        if (elementType.explosive) {
+                            if (particle.fuse === undefined) {
+                                particle.fuse = Utils.randomInt(1, 3);
+                                this._markRegionActive(nx, ny);
+                            }
+                            continue;
+                        }
+                        
+                        // Some materials shatter into rubble instead of vanishing
+                        if (elementType.debris) {
+                            this.changeParticleType(nx, ny, elementType.debris);
+                            continue;
+                        }
+                        
+                        this.removeParticle(nx, ny);
+                    }
+                    
+                    // Leave flames and smoke behind
+                    const roll = Math.random();
+                    if (roll < 0.4) {
+                        this.createParticle(nx, ny, 'fire');
+                    } else if (roll < 0.6) {
+                        this.createParticle(nx, ny, 'smoke');
+                    }
+                    
+                    this.addHeat(nx, ny, power * 100);
+                } else if (elementType && !elementType.static) {
+                    // Fling loose particles away from the center, weaker further out
+                    const strength = power * (1 - (distance - radius) / radius);
+                    particle.vx = Utils.clamp((particle.vx || 0) + (dx / distance) * strength,
+                        -this.maxVelocity, this.maxVelocity);
+                    particle.vy = Utils.clamp((particle.vy || 0) + (dy / distance) * strength,
+                        -this.maxVelocity, this.maxVelocity);
+                    this._markRegionActive(nx, ny);
+                }
+            }
+        }
+        
+        // Pressure wave for the wind to carry outward
+        this.air.addPressure(x, y, reach, power);
+    }
+    
+    /**
+     * Get the direction a directional particle (fan, diode...) faces
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array} [dx, dy] unit step
+     */
+    getDirection(x, y) {
+        const particle = this.grid[y][x];
+        const elementType = Particles.ELEMENTS[particle.type];
+        
+        return particle.dir || (elementType && elementType.defaultDir) || [0, -1];
+    }
+    
+    /**
+     * Flip every switch connected to the one at a position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if there was a switch to toggle
+     */
+    toggleSwitch(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return false;
+        }
+        
+        const start = this.grid[y][x];
+        if (!start || start.type !== 'switch') return false;
+        
+        // Flood fill so a switch drawn as a blob acts as one
+        const on = !start.on;
+        const stack = [[x, y]];
+        
+        while (stack.length > 0) {
+            const [cx, cy] = stack.pop();
+            const particle = this.grid[cy][cx];
+            
+            particle.on = on;
+            this._markRegionActive(cx, cy);
+            
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                
+                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height &&
+                    this.grid[ny][nx] && this.grid[ny][nx].type === 'switch' &&
+                    this.grid[ny][nx].on !== on) {
+                    stack.push([nx, ny]);
+                }
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Let a charged conductor act on a non-conductive neighbour.
+     * Elements may define onPowered(engine, x, y, fromX, fromY); flammable ones can ignite.
+     * @param {number} x - X coordinate of the neighbour
+     * @param {number} y - Y coordinate of the neighbour
+     * @param {number} fromX - X coordinate of the charged conductor
+     * @param {number} fromY - Y coordinate of the charged conductor
+     * @private
+     */
+    _powerNeighbor(x, y, fromX, fromY) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height || !this.grid[y][x]) {
+            return;
+        }
+        
+        const elementType = Particles.ELEMENTS[this.grid[y][x].type];
+        if (!elementType) return;
+        
+        if (elementType.onPowered) {
+            elementType.onPowered(this, x, y, fromX, fromY);
+        } else if (elementType.flammable && Math.random() < elementType.flammability) {
+            // Live wires set fire to whatever touches them
+            Interactions.ignite(this, x, y);
+        }
+    }
+    
+    /**
+     * Round a value to a whole number, rounding the fraction up by chance
+     * @param {number} value - Value to round
+     * @returns {number} Whole number with the same sign
+     * @private
+     */
+    _randomRound(value) {
+        const whole = Math.trunc(value);
+        const fraction = Math.abs(value - whole);
+        
+        return whole + (Math.random() < fraction ? Math.sign(value) : 0);
+    }
+    
     /**
      * Swap two particles
      * @param {number} x1 - First X coordinate
@@ -564,6 +1401,11 @@ class Engine {
             this.grid[y1][x1] = this.grid[y2][x2];
             this.grid[y2][x2] = temp;
             
+            // Swap temperatures along with the particles
+            const temperature = this.temperature[y1][x1];
+            this.temperature[y1][x1] = this.temperature[y2][x2];
+            this.temperature[y2][x2] = temperature;
+            
             // Update their coordinates
             this.grid[y1][x1].x = x1;
             this.grid[y1][x1].y = y1;
@@ -584,7 +1426,7 @@ class Engine {
     }
     
     /**
-     * Change the type of a particle
+     * Change the type of a particle. Its state starts fresh, apart from the direction it was placed with.
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {string} newType - New element type
@@ -605,6 +1447,9 @@ class Engine {
             const newParticle = Particles.createParticle(newType, x, y);
             
             if (newParticle) {
+                // Keep what was chosen when the particle was placed, like the way a fan faces
+                if (oldParticle.dir) newParticle.dir = [...oldParticle.dir];
+                
                 // Replace the old particle
                 this.grid[y][x] = newParticle;
                 this.grid[y][x].updated = true;
@@ -619,6 +1464,73 @@ class Engine {
         return false;
     }
     
+    /**
+     * Get the temperature of a grid cell
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Temperature, or ambient if out of bounds
+     */
+    getTemperature(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return this.ambientTemperature;
+        }
+        
+        return this.temperature[y][x];
+    }
+    
+    /**
+     * Set the temperature of a grid cell
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} value - New temperature
+     * @returns {boolean} True if temperature was set
+     */
+    setTemperature(x, y, value) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return false;
+        }
+        
+        this.temperature[y][x] = value;
+        this._markRegionActive(x, y);
+        
+        return true;
+    }
+    
+    /**
+     * Add heat to a grid cell (negative values cool it)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} amount - Degrees to add
+     * @returns {boolean} True if temperature was changed
+     */
+    addHeat(x, y, amount) {
+        return this.setTemperature(x, y, this.getTemperature(x, y) + amount);
+    }
+    
+    /**
+     * Get a heat-map color for a grid cell's temperature
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array} RGB color array
+     */
+    getTemperatureColor(x, y) {
+        const delta = this.temperature[y][x] - this.ambientTemperature;
+        
+        if (delta < 0) {
+            // Cold: fade toward blue
+            const coldRatio = Utils.clamp(-delta / 100, 0, 1);
+            return [0, Math.floor(80 * coldRatio), Math.floor(255 * coldRatio)];
+        }
+        
+        // Hot: black -> red -> yellow -> white
+        const hotRatio = Utils.clamp(delta / 1000, 0, 1);
+        return [
+            Math.floor(255 * Utils.clamp(hotRatio * 3, 0, 1)),
+            Math.floor(255 * Utils.clamp(hotRatio * 3 - 1, 0, 1)),
+            Math.floor(255 * Utils.clamp(hotRatio * 3 - 2, 0, 1))
+        ];
+    }
+    
     /**
      * Get the pixel color for a grid cell
      * @param {number} x - X coordinate
@@ -637,6 +1549,29 @@ class Engine {
         // Get base color
         const baseColor = elementType.color;
         
+        // Lamps glow for a while after each pulse, fading as they cool
+        if (particle.type === 'lamp') {
+            const glowRatio = (particle.glow || 0) / elementType.glowTime;
+            const rgb = Utils.hexToRgb(baseColor);
+            const lit = Utils.hexToRgb(elementType.litColor);
+            
+            return [
+                Math.floor(rgb[0] + (lit[0] - rgb[0]) * glowRatio),
+                Math.floor(rgb[1] + (lit[1] - rgb[1]) * glowRatio),
+                Math.floor(rgb[2] + (lit[2] - rgb[2]) * glowRatio)
+            ];
+        }
+        
+        // Charged conductors light up while current flows through them
+        if (particle.charge > 0) {
+            return [255, 255, 180];
+        }
+        
+        // Switches show whether they are on
+        if (particle.type === 'switch' && particle.on) {
+            return Utils.hexToRgb(elementType.onColor);
+        }
+        
         // Apply any particle-specific color variations
         if (particle.colorVariation) {
             // Convert base hex color to RGB
@@ -697,16 +1632,17 @@ class Engine {
      * Draw elements in a specified pattern
      * @param {string} type - Element type to draw
      * @param {Array} points - Array of [x, y] coordinates to place elements
+     * @param {Object} [props] - Extra properties for each new particle
      * @returns {number} Number of particles created
      */
-    drawElements(type, points) {
+    drawElements(type, points, props) {
         // Save current state for undo
         this._saveUndoState();
         
         let count = 0;
         
         for (const [x, y] of points) {
-            if (this.createParticle(x, y, type)) {
+            if (this.createParticle(x, y, type, props)) {
                 count++;
             }
         }
@@ -714,6 +1650,22 @@ class Engine {
         return count;
     }
     
+    /**
+     * Make several edits that undo as a single step
+     * @param {Function} edit - Makes the edits, e.g. with drawElements and reset
+     * @returns {*} Whatever edit returns
+     */
+    batch(edit) {
+        this._saveUndoState();
+        this._batching = true;
+        
+        try {
+            return edit();
+        } finally {
+            this._batching = false;
+        }
+    }
+    
     /**
      * Erase elements in a specified pattern
      * @param {Array} points - Array of [x, y] coordinates to erase
@@ -734,6 +1686,25 @@ class Engine {
         return count;
     }
     
+    /**
+     * Remove every particle of one element type, e.g. after the element was deleted
+     * @param {string} type - Element type to clear
+     * @returns {number} Number of particles removed
+     */
+    removeAllOfType(type) {
+        let count = 0;
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.grid[y][x] && this.grid[y][x].type === type && this.removeParticle(x, y)) {
+                    count++;
+                }
+            }
+        }
+        
+        return count;
+    }
+    
     /**
      * Draw a line of elements
      * @param {string} type - Element type to draw
@@ -741,11 +1712,12 @@ class Engine {
      * @param {number} y1 - Start Y
      * @param {number} x2 - End X
      * @param {number} y2 - End Y
+     * @param {Object} [props] - Extra properties for each new particle
      * @returns {number} Number of particles created
      */
-    drawLine(type, x1, y1, x2, y2) {
+    drawLine(type, x1, y1, x2, y2, props) {
         const points = Utils.getLine(x1, y1, x2, y2);
-        return this.drawElements(type, points);
+        return this.drawElements(type, points, props);
     }
     
     /**
@@ -756,11 +1728,12 @@ class Engine {
      * @param {number} x2 - End X
      * @param {number} y2 - End Y
      * @param {boolean} filled - Whether rectangle is filled
+     * @param {Object} [props] - Extra properties for each new particle
      * @returns {number} Number of particles created
      */
-    drawRectangle(type, x1, y1, x2, y2, filled) {
+    drawRectangle(type, x1, y1, x2, y2, filled, props) {
         const points = Utils.getRectangle(x1, y1, x2, y2, filled);
-        return this.drawElements(type, points);
+        return this.drawElements(type, points, props);
     }
     
     /**
@@ -771,11 +1744,12 @@ class Engine {
      * @param {number} radiusX - X radius
      * @param {number} radiusY - Y radius
      * @param {boolean} filled - Whether ellipse is filled
+     * @param {Object} [props] - Extra properties for each new particle
      * @returns {number} Number of particles created
      */
-    drawEllipse(type, x, y, radiusX, radiusY, filled) {
+    drawEllipse(type, x, y, radiusX, radiusY, filled, props) {
         const points = Utils.getEllipse(x, y, radiusX, radiusY, filled);
-        return this.drawElements(type, points);
+        return this.drawElements(type, points, props);
     }
     
     /**
@@ -784,15 +1758,34 @@ class Engine {
      * @param {number} x - Center X
      * @param {number} y - Center Y
      * @param {number} radius - Brush radius
+     * @param {Object} [props] - Extra properties for each new particle
      * @returns {number} Number of particles created
      */
-    drawBrush(type, x, y, radius) {
+    drawBrush(type, x, y, radius, props) {
         const points = Utils.getBrushPoints(x, y, radius);
         
         if (type === 'eraser') {
             return this.eraseElements(points);
         } else {
-            return this.drawElements(type, points);
+            return this.drawElements(type, points, props);
+        }
+    }
+    
+    /**
+     * Blow wind in a circle, waking up the particles it reaches
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Brush radius
+     * @param {number} vx - Wind velocity along X
+     * @param {number} vy - Wind velocity along Y
+     */
+    blowWind(x, y, radius, vx, vy) {
+        this.air.addVelocity(x, y, radius, vx, vy);
+        
+        for (const [px, py] of Utils.getBrushPoints(x, y, radius)) {
+            if (this.grid[py] && this.grid[py][px]) {
+                this._markRegionActive(px, py);
+            }
         }
     }
     
@@ -801,7 +1794,59 @@ class Engine {
      * @param {string} direction - Direction ('up', 'down', 'left', 'right', 'none')
      */
     setGravity(direction) {
+        const vectors = {
+            'down': [0, 1],
+            'up': [0, -1],
+            'left': [-1, 0],
+            'right': [1, 0],
+            'none': [0, 0]
+        };
+        
+        // Fall back to normal gravity for unknown directions
+        if (!vectors[direction]) {
+            direction = 'down';
+        }
+        
         this.gravity = direction;
+        [this.gravityX, this.gravityY] = vectors[direction];
+    }
+    
+    /**
+     * Check whether gravity currently pulls in any direction
+     * @returns {boolean} True unless gravity is set to 'none'
+     */
+    hasGravity() {
+        return this.gravityX !== 0 || this.gravityY !== 0;
+    }
+    
+    /**
+     * Convert a gravity-relative offset into grid coordinates.
+     * Element code can then be written as if gravity always pointed down.
+     * @param {number} x - Origin X coordinate
+     * @param {number} y - Origin Y coordinate
+     * @param {number} down - Steps along gravity (negative to move against it)
+     * @param {number} side - Steps perpendicular to gravity
+     * @returns {Array} [x, y] coordinates
+     */
+    relativeCell(x, y, down, side) {
+        // Without gravity there is no "down", but sideways still means horizontal
+        const sideX = this.hasGravity() ? this.gravityY : 1;
+        const sideY = this.hasGravity() ? -this.gravityX : 0;
+        
+        return [
+            x + down * this.gravityX + side * sideX,
+            y + down * this.gravityY + side * sideY
+        ];
+    }
+    
+    /**
+     * Check if a cell is inside the grid and unoccupied
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if a particle could be placed there
+     */
+    isEmpty(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height && !this.grid[y][x];
     }
     
     /**
@@ -0,0 +1,257 @@
+/**
+ * OpenPowderGame GIF Module
+ * Encodes animated GIFs from rendered frames, so clips can be recorded without any library
+ */
+
+const Gif = {
+    /**
+     * Largest LZW code; the code table is cleared when it fills up
+     */
+    MAX_CODE: 4095,
+    
+    /**
+     * Create an encoder for a looping animation.
+     * The file is kept as one byte array per frame, which a Blob can take as it is.
+     * @param {number} width - Frame width in cells
+     * @param {number} height - Frame height in cells
+     * @param {number} [scale=1] - Pixels per cell in the output
+     * @returns {Object} Encoder with addFrame(pixels, delay) and finish() methods
+     */
+    createEncoder: function(width, height, scale = 1) {
+        const chunks = [];
+        const outputWidth = width * scale;
+        const outputHeight = height * scale;
+        
+        // Header and logical screen: no global color table, every frame brings its own.
+        // Then the Netscape extension: loop forever.
+        const header = this._createWriter(32);
+        header.text('GIF89a');
+        header.word(outputWidth);
+        header.word(outputHeight);
+        header.bytes(0x70, 0, 0);
+        header.bytes(0x21, 0xff, 0x0b);
+        header.text('NETSCAPE2.0');
+        header.bytes(0x03, 0x01, 0, 0, 0);
+        chunks.push(header.toBytes());
+        
+        return {
+            /**
+             * Add a frame
+             * @param {ImageData} pixels - Frame at one pixel per cell
+             * @param {number} delay - How long to show it, in milliseconds
+             */
+            addFrame: (pixels, delay) => {
+                const { colors, indices } = this._quantize(pixels.data);
+                const tableBits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+                const minCodeSize = Math.max(2, tableBits);
+                const data = this._lzw(this._scale(indices, width, height, scale), minCodeSize);
+                
+                // Control block, descriptor, color table, then the data in blocks of up to 255 bytes
+                const frame = this._createWriter(19 + 3 * (1 << tableBits) + data.length + Math.ceil(data.length / 255) + 1);
+                
+                // Graphic control: delay in hundredths of a second, frames replace each other
+                frame.bytes(0x21, 0xf9, 0x04, 0x04);
+                frame.word(Math.max(2, Math.round(delay / 10))); // Browsers slow down anything shorter
+                frame.bytes(0, 0);
+                
+                // Image descriptor with a local color table
+                frame.bytes(0x2c);
+                frame.word(0);
+                frame.word(0);
+                frame.word(outputWidth);
+                frame.word(outputHeight);
+                frame.bytes(0x80 | (tableBits - 1));
+                
+                for (let i = 0; i < 1 << tableBits; i++) {
+                    const color = colors[i] || 0;
+                    frame.bytes((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+                }
+                
+                frame.bytes(minCodeSize);
+                for (let i = 0; i < data.length; i += 255) {
+                    const block = data.subarray(i, i + 255);
+                    frame.bytes(block.length);
+                    frame.array(block);
+                }
+                frame.bytes(0);
+                
+                chunks.push(frame.toBytes());
+            },
+            
+            /**
+             * End the animation
+             * @returns {Array} GIF file contents, as Uint8Arrays to be joined in order
+             */
+            finish: () => {
+                chunks.push(Uint8Array.of(0x3b));
+                return chunks;
+            }
+        };
+    },
+    
+    /**
+     * Create a writer over a fixed number of bytes
+     * @param {number} size - Bytes that will be written
+     * @returns {Object} Writer with bytes, word, text, array and toBytes methods
+     * @private
+     */
+    _createWriter: function(size) {
+        const buffer = new Uint8Array(size);
+        let length = 0;
+        
+        const writer = {
+            bytes: (...values) => {
+                buffer.set(values, length);
+                length += values.length;
+            },
+            // Little-endian 16-bit value
+            word: (value) => writer.bytes(value & 0xff, (value >> 8) & 0xff),
+            text: (value) => writer.bytes(...Array.from(value, c => c.charCodeAt(0))),
+            array: (values) => {
+                buffer.set(values, length);
+                length += values.length;
+            },
+            toBytes: () => buffer.subarray(0, length)
+        };
+        
+        return writer;
+    },
+    
+    /**
+     * Reduce a frame to at most 256 colors. Drops low bits from every channel until the
+     * colors fit, so frames with few colors (most of them) stay exact.
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @returns {Object} { colors: 0xRRGGBB values, indices: color index per pixel }
+     * @private
+     */
+    _quantize: function(data) {
+        const count = data.length / 4;
+        
+        // Two bits per channel gives 64 colors, so the last pass always fits
+        for (let shift = 0; shift <= 6; shift++) {
+            const mask = (0xff << shift) & 0xff;
+            const middle = (1 << shift) >> 1; // Show each reduced color at the middle of its range
+            const lookup = new Map();
+            const indices = new Uint8Array(count);
+            let fits = true;
+            
+            for (let i = 0; i < count; i++) {
+                const key = ((data[i * 4] & mask) << 16) | ((data[i * 4 + 1] & mask) << 8) | (data[i * 4 + 2] & mask);
+                let index = lookup.get(key);
+                
+                if (index === undefined) {
+                    if (lookup.size === 256) {
+                        fits = false;
+                        break;
+                    }
+                    index = lookup.size;
+                    lookup.set(key, index);
+                }
+                
+                indices[i] = index;
+            }
+            
+            if (fits) {
+                const colors = [...lookup.keys()].map(key => key | (middle << 16) | (middle << 8) | middle);
+                return { colors, indices };
+            }
+        }
+    },
+    
+    /**
+     * Enlarge a frame's color indices so each cell covers scale × scale pixels
+     * @param {Uint8Array} indices - Color index per cell
+     * @param {number} width - Width in cells
+     * @param {number} height - Height in cells
+     * @param {number} scale - Pixels per cell
+     * @returns {Uint8Array} Color index per pixel
+     * @private
+     */
+    _scale: function(indices, width, height, scale) {
+        if (scale === 1) return indices;
+        
+        const scaledWidth = width * scale;
+        const scaled = new Uint8Array(scaledWidth * height * scale);
+        
+        for (let y = 0; y < height; y++) {
+            const row = scaled.subarray(y * scale * scaledWidth, (y * scale + 1) * scaledWidth);
+            
+            for (let x = 0; x < width; x++) {
+                row.fill(indices[y * width + x], x * scale, (x + 1) * scale);
+            }
+            
+            for (let i = 1; i < scale; i++) {
+                scaled.copyWithin((y * scale + i) * scaledWidth, y * scale * scaledWidth, (y * scale + 1) * scaledWidth);
+            }
+        }
+        
+        return scaled;
+    },
+    
+    /**
+     * LZW-compress color indices the way GIF expects: variable-width codes, least significant bit first
+     * @param {Uint8Array} indices - Color index per pixel
+     * @param {number} minCodeSize - Bits per color index, at least 2
+     * @returns {Uint8Array} Compressed bytes
+     * @private
+     */
+    _lzw: function(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const table = new Map();
+        
+        // Room for the worst case: a 12-bit code per index, plus clear codes and the end
+        const output = new Uint8Array(Math.ceil((indices.length * 1.01 + 3) * 12 / 8));
+        let length = 0;
+        
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let buffer = 0;
+        let bufferBits = 0;
+        
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            
+            while (bufferBits >= 8) {
+                output[length++] = buffer & 0xff;
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+        
+        emit(clearCode);
+        
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = prefix * 256 + indices[i];
+            const code = table.get(key);
+            
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            
+            emit(prefix);
+            
+            if (nextCode <= this.MAX_CODE) {
+                // Widen codes once the new one no longer fits
+                if (nextCode === 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            } else {
+                emit(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            
+            prefix = indices[i];
+        }
+        
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) output[length++] = buffer & 0xff;
+        
+        return output.slice(0, length);
+    }
+};
@@ -0,0 +1,126 @@
+/**
+ * OpenPowderGame Image Import Module
+ * Turns pictures into scenes by matching each pixel to the closest element color
+ */
+
+const ImageImport = {
+    /**
+     * Palette entry for "leave the cell empty"; matches black, the color of an empty canvas
+     */
+    EMPTY: { type: null, label: 'Empty', color: '#000000' },
+    
+    /**
+     * Categories whose elements are allowed by default. Gases and energy would vanish
+     * within moments, and machines make little sense scattered across a picture.
+     */
+    DEFAULT_CATEGORIES: ['solids', 'liquids'],
+    
+    /**
+     * Pixels less opaque than this are left empty
+     */
+    ALPHA_THRESHOLD: 128,
+    
+    /**
+     * Build a palette from element types
+     * @param {Array} types - Element types to allow
+     * @param {boolean} allowEmpty - Whether black pixels may map to empty cells
+     * @returns {Array} Entries of { type, rgb }, with a null type for empty
+     */
+    getPalette: function(types, allowEmpty) {
+        const palette = types
+            .filter(type => Particles.ELEMENTS[type])
+            .map(type => ({ type, rgb: Utils.hexToRgb(Particles.ELEMENTS[type].color) }));
+        
+        if (allowEmpty) {
+            palette.push({ type: null, rgb: Utils.hexToRgb(this.EMPTY.color) });
+        }
+        
+        return palette;
+    },
+    
+    /**
+     * Get the element types allowed when the dialog opens
+     * @returns {Array} Element types
+     */
+    getDefaultTypes: function() {
+        const categories = Particles.getCategorizedElements();
+        return this.DEFAULT_CATEGORIES.flatMap(category => categories[category] || []);
+    },
+    
+    /**
+     * Find the palette entry closest to a color.
+     * Uses the "redmean" weighting, which tracks perceived difference better than plain RGB distance.
+     * @param {number} r - Red
+     * @param {number} g - Green
+     * @param {number} b - Blue
+     * @param {Array} palette - Entries from getPalette
+     * @returns {string|null} Element type, or null for empty
+     */
+    findClosest: function(r, g, b, palette) {
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const entry of palette) {
+            const [pr, pg, pb] = entry.rgb;
+            const redMean = (r + pr) / 2;
+            const dr = r - pr;
+            const dg = g - pg;
+            const db = b - pb;
+            const distance = (2 + redMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - redMean) / 256) * db * db;
+            
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = entry.type;
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Match every pixel of an image to an element
+     * @param {ImageData} imageData - Pixels, already scaled to the grid size
+     * @param {Array} palette - Entries from getPalette
+     * @returns {Array} Element type (or null) per pixel, in row order
+     */
+    matchPixels: function(imageData, palette) {
+        const data = imageData.data;
+        const cells = new Array(imageData.width * imageData.height).fill(null);
+        const cache = new Map(); // Pictures reuse colors a lot; don't search the palette twice
+        
+        if (palette.length === 0) return cells;
+        
+        for (let i = 0; i < cells.length; i++) {
+            const offset = i * 4;
+            if (data[offset + 3] < this.ALPHA_THRESHOLD) continue;
+            
+            const key = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+            if (!cache.has(key)) {
+                cache.set(key, this.findClosest(data[offset], data[offset + 1], data[offset + 2], palette));
+            }
+            
+            cells[i] = cache.get(key);
+        }
+        
+        return cells;
+    },
+    
+    /**
+     * Group matched cells by element, ready for Engine.drawElements
+     * @param {Array} cells - Element type (or null) per cell, in row order
+     * @param {number} width - Grid width
+     * @returns {Map} Element type to a list of [x, y] points
+     */
+    groupByType: function(cells, width) {
+        const groups = new Map();
+        
+        cells.forEach((type, i) => {
+            if (type === null) return;
+            
+            if (!groups.has(type)) groups.set(type, []);
+            groups.get(type).push([i % width, Math.floor(i / width)]);
+        });
+        
+        return groups;
+    }
+};
@@ -9,40 +9,46 @@ const Interactions = {
      * Format: {'element1+element2': function(engine, x1, y1, x2, y2) { ... }}
      */
     REACTIONS: {
-        // Water + Fire = Steam (water wins)
+        // Water + Fire = Fire is put out, its heat goes into the water (water wins)
         'water+fire': function(engine, waterX, waterY, fireX, fireY) {
-            // Convert water to steam with a certain probability
-            if (Math.random() < 0.7) {
-                engine.changeParticleType(waterX, waterY, 'steam');
-            }
+            // Enough heat and the water boils through its own transition
+            engine.addHeat(waterX, waterY, Particles.ELEMENTS.fire.heat * 0.2);
             // Remove fire
             engine.removeParticle(fireX, fireY);
             return true;
         },
         
+        // Water + Ice = Cold water freezes onto the ice
+        'water+ice': function(engine, waterX, waterY, iceX, iceY) {
+            // Warm water melts the ice through conduction instead
+            if (engine.getTemperature(waterX, waterY) > 4 ||
+                Math.random() >= Particles.ELEMENTS.ice.freezeChance) {
+                return false;
+            }
+            
+            engine.changeParticleType(waterX, waterY, 'ice');
+            return true;
+        },
+        
         // Oil + Fire = More Fire (fire wins)
         'oil+fire': function(engine, oilX, oilY, fireX, fireY) {
             // Oil immediately catches fire and spreads
-            engine.changeParticleType(oilX, oilY, 'fire');
-            // Give the new fire a random lifespan
-            const fireLife = Utils.randomInt(
-                Particles.ELEMENTS.fire.lifespan.min,
-                Particles.ELEMENTS.fire.lifespan.max
-            );
-            engine.grid[oilY][oilX].life = fireLife;
-            return true;
+            return Interactions.ignite(engine, oilX, oilY);
         },
         
-        // Water + Acid = Diluted Acid (random chance of acid being neutralized)
-        'water+acid': function(engine, waterX, waterY, acidX, acidY) {
-            // 25% chance the acid gets neutralized (water wins)
-            if (Math.random() < 0.25) {
-                engine.removeParticle(acidX, acidY);
-                return true;
+        // Lava + Wood = Wood catches fire
+        'lava+wood': function(engine, lavaX, lavaY, woodX, woodY) {
+            if (Math.random() < Particles.ELEMENTS.lava.ignitionChance) {
+                return Interactions.ignite(engine, woodX, woodY);
             }
             return false;
         },
         
+        // Lava + Oil = Oil catches fire
+        'lava+oil': function(engine, lavaX, lavaY, oilX, oilY) {
+            return Interactions.ignite(engine, oilX, oilY);
+        },
+        
         // Acid + Metal = Dissolve Metal (acid wins gradually)
         'acid+metal': function(engine, acidX, acidY, metalX, metalY) {
             // Metal gradually dissolves
@@ -65,40 +71,6 @@ const Interactions = {
             return false;
         },
         
-        // Acid + Sand = Slower dissolution (acid wins very slowly)
-        'acid+sand': function(engine, acidX, acidY, sandX, sandY) {
-            // Sand dissolves, but more slowly than other materials
-            if (Math.random() < 0.04) {
-                engine.removeParticle(sandX, sandY);
-                // Acid also has a chance to be consumed
-                if (Math.random() < 0.2) {
-                    engine.removeParticle(acidX, acidY);
-                }
-                return true;
-            }
-            return false;
-        },
-        
-        // Water + Steam = Water absorbs steam (water wins)
-        'water+steam': function(engine, waterX, waterY, steamX, steamY) {
-            // Steam is simply absorbed by water
-            if (Math.random() < 0.3) {
-                engine.removeParticle(steamX, steamY);
-                return true;
-            }
-            return false;
-        },
-        
-        // Water + Oil = Oil floats on water (they swap positions)
-        'water+oil': function(engine, waterX, waterY, oilX, oilY) {
-            // If water is above oil, they should swap places
-            if (waterY < oilY) {
-                engine.swapParticles(waterX, waterY, oilX, oilY);
-                return true;
-            }
-            return false;
-        },
-        
         // Fire + Wood = Burning Wood (fire spreads)
         'fire+wood': function(engine, fireX, fireY, woodX, woodY) {
             // If wood doesn't have a burning counter yet
@@ -110,87 +82,35 @@ const Interactions = {
             // Increment burning counter
             engine.grid[woodY][woodX].burning += 1;
             
+            // Flames and smoke appear on the side facing away from gravity
+            const [aboveX, aboveY] = engine.relativeCell(woodX, woodY, -1, 0);
+            
             // Once wood has burned enough, it catches fire and is consumed
             if (engine.grid[woodY][woodX].burning >= 100) {
-                engine.changeParticleType(woodX, woodY, 'fire');
-                // Give the fire a lifespan
-                engine.grid[woodY][woodX].life = Utils.randomInt(
-                    Particles.ELEMENTS.fire.lifespan.min,
-                    Particles.ELEMENTS.fire.lifespan.max
-                );
+                Interactions.ignite(engine, woodX, woodY);
                 
                 // Sometimes create smoke
-                if (Math.random() < 0.4 && woodY > 0 && !engine.grid[woodY-1][woodX]) {
-                    engine.createParticle(woodX, woodY-1, 'smoke');
+                if (Math.random() < 0.4 && engine.isEmpty(aboveX, aboveY)) {
+                    engine.createParticle(aboveX, aboveY, 'smoke');
                 }
                 
                 return true;
             }
             
             // Occasionally spawn a new fire particle above the wood
-            if (Math.random() < 0.05 && woodY > 0 && !engine.grid[woodY-1][woodX]) {
-                engine.createParticle(woodX, woodY-1, 'fire');
+            if (Math.random() < 0.05 && engine.isEmpty(aboveX, aboveY)) {
+                engine.createParticle(aboveX, aboveY, 'fire');
                 return true;
             }
             
             return false;
         },
         
-        // Spark + Metal = Spark travels through metal (spark continues)
-        'spark+metal': function(engine, sparkX, sparkY, metalX, metalY) {
-            // Spark can travel through metal to another side
-            const width = engine.width;
-            const height = engine.height;
-            const grid = engine.grid;
-            
-            // Find potential exit points around the metal
-            const exitPoints = [];
-            
-            // Check all adjacent cells to the metal
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx === 0 && dy === 0) continue;
-                    
-                    const nx = metalX + dx;
-                    const ny = metalY + dy;
-                    
-                    // If in bounds and empty, it's a potential exit
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height && !grid[ny][nx]) {
-                        exitPoints.push([nx, ny]);
-                    }
-                }
-            }
-            
-            // If there are exit points, move spark to a random one
-            if (exitPoints.length > 0 && Math.random() < 0.7) {
-                const [newX, newY] = Utils.randomElement(exitPoints);
-                
-                // Move the spark
-                engine.removeParticle(sparkX, sparkY);
-                engine.createParticle(newX, newY, 'spark');
-                
-                return true;
-            }
-            
-            // If no exit found, spark continues but loses energy
-            if (engine.grid[sparkY][sparkX].life) {
-                engine.grid[sparkY][sparkX].life -= 1;
-            }
-            
-            return false;
-        },
-        
         // Spark + Oil = Ignite oil (spark wins)
         'spark+oil': function(engine, sparkX, sparkY, oilX, oilY) {
             // Oil ignites with high probability
             if (Math.random() < 0.8) {
-                engine.changeParticleType(oilX, oilY, 'fire');
-                // Give the fire a lifespan
-                engine.grid[oilY][oilX].life = Utils.randomInt(
-                    Particles.ELEMENTS.fire.lifespan.min,
-                    Particles.ELEMENTS.fire.lifespan.max
-                );
-                return true;
+                return Interactions.ignite(engine, oilX, oilY);
             }
             return false;
         },
@@ -201,23 +121,263 @@ const Interactions = {
             return Interactions.REACTIONS['spark+oil'](engine, fireX, fireY, oilX, oilY);
         },
         
+        // Fire + Plant = Burns just like wood
+        'fire+plant': function(engine, fireX, fireY, plantX, plantY) {
+            return Interactions.REACTIONS['fire+wood'](engine, fireX, fireY, plantX, plantY);
+        },
+        
+        // Gunpowder + Fire = Explosion
+        'gunpowder+fire': function(engine, powderX, powderY, fireX, fireY) {
+            return engine.detonate(powderX, powderY);
+        },
+        
+        // Gunpowder + Spark = Explosion
+        'gunpowder+spark': function(engine, powderX, powderY, sparkX, sparkY) {
+            return engine.detonate(powderX, powderY);
+        },
+        
+        // Nitro + Fire = Big explosion
+        'nitro+fire': function(engine, nitroX, nitroY, fireX, fireY) {
+            return engine.detonate(nitroX, nitroY);
+        },
+        
+        // Nitro + Spark = Big explosion
+        'nitro+spark': function(engine, nitroX, nitroY, sparkX, sparkY) {
+            return engine.detonate(nitroX, nitroY);
+        },
+        
         // Acid + Wall = No effect (wall is immune)
         'acid+wall': function(engine, acidX, acidY, wallX, wallY) {
             // Wall is immune to acid
             return false;
-        },
+        }
+    },
+    
+    /**
+     * Set a particle on fire, replacing it with a fresh flame
+     * @param {Object} engine - Reference to the simulation engine
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the particle caught fire
+     */
+    ignite: function(engine, x, y) {
+        // New fire particles get their own random lifespan
+        return engine.changeParticleType(x, y, 'fire');
+    },
+    
+    /**
+     * Declarative reaction rules. Each rule has:
+     *   reactants: [typeA, typeB] - the two particles that meet
+     *   products: [typeA2, typeB2] - what each becomes (null removes it, its own type leaves it alone)
+     *   probability: chance per contact that the rule fires
+     *   byproduct: optional type spawned in an empty neighboring cell
+     *   temperature: optional { above, below } condition on the first reactant's cell
+     * Several rules for the same pair are tried in order.
+     */
+    RULES: [
+        // Water absorbs steam
+        { reactants: ['water', 'steam'], products: ['water', null], probability: 0.3 },
         
-        // Steam + Fire = Steam dissipates faster (fire wins)
-        'steam+fire': function(engine, steamX, steamY, fireX, fireY) {
-            // Steam disappears faster near fire
-            if (Math.random() < 0.4) {
-                engine.removeParticle(steamX, steamY);
-                return true;
+        // Water slowly neutralizes acid
+        { reactants: ['water', 'acid'], products: ['water', null], probability: 0.25 },
+        
+        // Acid dissolves sand slowly, used up in about a fifth of the cases
+        { reactants: ['acid', 'sand'], products: [null, null], probability: 0.008 },
+        { reactants: ['acid', 'sand'], products: ['acid', null], probability: 0.032 },
+        
+        // Steam disappears faster near fire
+        { reactants: ['steam', 'fire'], products: [null, 'fire'], probability: 0.4 },
+        
+        // Ice and snow melt next to fire (the meltwater then puts the fire out)
+        { reactants: ['ice', 'fire'], products: ['water', 'fire'], probability: 1 },
+        { reactants: ['snow', 'fire'], products: ['water', 'fire'], probability: 1 },
+        
+        // Water flashes to steam on lava, quenching it into stone
+        { reactants: ['lava', 'water'], products: ['stone', 'steam'], probability: 1 }
+    ],
+    
+    /**
+     * Rules added by the user at runtime, saved with their creations
+     */
+    customRules: [],
+    
+    /**
+     * Reactions compiled from the rules, keyed like REACTIONS and checked before them
+     */
+    compiledReactions: {},
+    
+    /**
+     * Custom rule ids look like "rule-lq3x9-42"; anything else is refused, since ids end up in markup
+     */
+    RULE_ID_PATTERN: /^rule-[a-z0-9-]+$/,
+    
+    /**
+     * Check that a rule is well formed
+     * @param {Object} rule - Reaction rule
+     * @throws {Error} Describing the first problem found
+     */
+    validateRule: function(rule) {
+        const isType = type => typeof type === 'string' && Particles.ELEMENTS[type] !== undefined;
+        
+        if (rule.id !== undefined && !(typeof rule.id === 'string' && this.RULE_ID_PATTERN.test(rule.id))) {
+            throw new Error('Invalid rule id');
+        }
+        
+        if (!Array.isArray(rule.reactants) || rule.reactants.length !== 2 || !rule.reactants.every(isType)) {
+            throw new Error('A rule needs two known reactants');
+        }
+        
+        if (!Array.isArray(rule.products) || rule.products.length !== 2 ||
+            !rule.products.every(type => type === null || isType(type))) {
+            throw new Error('A rule needs a product (or nothing) for each reactant');
+        }
+        
+        if (!(rule.probability > 0 && rule.probability <= 1)) {
+            throw new Error('Probability must be between 0 and 1');
+        }
+        
+        if (rule.byproduct && !isType(rule.byproduct)) {
+            throw new Error(`Unknown byproduct "${rule.byproduct}"`);
+        }
+        
+        const temperature = rule.temperature || {};
+        for (const bound of ['above', 'below']) {
+            if (temperature[bound] !== undefined && !Number.isFinite(temperature[bound])) {
+                throw new Error(`Temperature ${bound} must be a number`);
             }
-            return false;
         }
     },
     
+    /**
+     * Turn a rule into a reaction function
+     * @param {Object} rule - Reaction rule
+     * @returns {Function} Reaction taking (engine, x1, y1, x2, y2) in reactant order
+     */
+    compileRule: function(rule) {
+        const temperature = rule.temperature || {};
+        
+        return function(engine, x1, y1, x2, y2) {
+            if (Math.random() >= rule.probability) return false;
+            
+            // Temperature condition is measured at the first reactant
+            const heat = engine.getTemperature(x1, y1);
+            if (temperature.above !== undefined && heat <= temperature.above) return false;
+            if (temperature.below !== undefined && heat >= temperature.below) return false;
+            
+            const cells = [[x1, y1], [x2, y2]];
+            
+            for (let i = 0; i < 2; i++) {
+                const [x, y] = cells[i];
+                const product = rule.products[i];
+                
+                if (product === null) {
+                    engine.removeParticle(x, y);
+                } else if (product !== rule.reactants[i]) {
+                    engine.changeParticleType(x, y, product);
+                }
+            }
+            
+            if (rule.byproduct) {
+                Interactions.spawnNearby(engine, cells, rule.byproduct);
+            }
+            
+            return true;
+        };
+    },
+    
+    /**
+     * Rebuild the compiled reactions from the built-in and custom rules.
+     * Custom rules come first so they can take over a pair from a built-in rule.
+     */
+    compileRules: function() {
+        const groups = {};
+        
+        for (const rule of [...this.customRules, ...this.RULES]) {
+            const key = `${rule.reactants[0]}+${rule.reactants[1]}`;
+            (groups[key] = groups[key] || []).push(this.compileRule(rule));
+        }
+        
+        this.compiledReactions = {};
+        
+        for (const [key, reactions] of Object.entries(groups)) {
+            this.compiledReactions[key] = reactions.length === 1 ? reactions[0] :
+                (engine, x1, y1, x2, y2) => reactions.some(reaction => reaction(engine, x1, y1, x2, y2));
+        }
+    },
+    
+    /**
+     * Add a custom rule, or replace the one with the same id
+     * @param {Object} rule - Reaction rule
+     * @returns {string} Id of the rule
+     * @throws {Error} If the rule is invalid
+     */
+    addRule: function(rule) {
+        this.validateRule(rule);
+        
+        const id = rule.id || `rule-${Date.now().toString(36)}-${Utils.randomInt(0, 9999)}`;
+        const saved = {
+            id,
+            reactants: [...rule.reactants],
+            products: [...rule.products],
+            probability: rule.probability,
+            ...(rule.byproduct && { byproduct: rule.byproduct }),
+            ...(rule.temperature && { temperature: { ...rule.temperature } })
+        };
+        
+        const index = this.customRules.findIndex(existing => existing.id === id);
+        if (index >= 0) {
+            this.customRules[index] = saved;
+        } else {
+            this.customRules.push(saved);
+        }
+        
+        this.compileRules();
+        return id;
+    },
+    
+    /**
+     * Remove a custom rule
+     * @param {string} id - Id of the rule
+     * @returns {boolean} True if the rule existed
+     */
+    removeRule: function(id) {
+        const index = this.customRules.findIndex(rule => rule.id === id);
+        if (index < 0) return false;
+        
+        this.customRules.splice(index, 1);
+        this.compileRules();
+        return true;
+    },
+    
+    /**
+     * Get copies of all custom rules
+     * @returns {Array} Custom rules
+     */
+    getCustomRules: function() {
+        return this.customRules.map(rule => JSON.parse(JSON.stringify(rule)));
+    },
+    
+    /**
+     * Create a particle in the first empty cell next to any of the given cells
+     * @param {Object} engine - Reference to the simulation engine
+     * @param {Array} cells - [[x, y], ...] cells to search around
+     * @param {string} type - Element type to create
+     * @returns {boolean} True if a particle was created
+     */
+    spawnNearby: function(engine, cells, type) {
+        for (const [x, y] of cells) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (engine.isEmpty(x + dx, y + dy)) {
+                        return engine.createParticle(x + dx, y + dy, type);
+                    }
+                }
+            }
+        }
+        
+        return false;
+    },
+    
     /**
      * Check for and process interactions between two elements
      * @param {Object} engine - Reference to the simulation engine
@@ -236,6 +396,13 @@ const Interactions = {
         const type1 = grid[y1][x1].type;
         const type2 = grid[y2][x2].type;
         
+        // Rule-based reactions get the first chance, in both orders
+        const rule1 = this.compiledReactions[`${type1}+${type2}`];
+        const rule2 = this.compiledReactions[`${type2}+${type1}`];
+        
+        if (rule1 && rule1(engine, x1, y1, x2, y2)) return true;
+        if (rule2 && rule2(engine, x2, y2, x1, y1)) return true;
+        
         // Check for defined reactions in both orders
         const reaction1 = this.REACTIONS[`${type1}+${type2}`];
         const reaction2 = this.REACTIONS[`${type2}+${type1}`];
@@ -285,3 +452,6 @@ const Interactions = {
         return false;
     }
 };
+
+// Build the rule-based reactions once all modules are defined
+Interactions.compileRules();
@@ -41,6 +41,9 @@ class Game {
      * Initialize the game
      */
     init() {
+        // Open the creation from a share link, if the page was opened with one
+        this.ui.loadSharedScene();
+        
         // Initial render
         this.renderer.render(true);
         
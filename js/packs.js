@@ -0,0 +1,245 @@
+/**
+ * OpenPowderGame Element Packs Module
+ * Loads JSON element packs that add elements, reactions and categories
+ */
+
+const Packs = {
+    /**
+     * Newest pack format this version of the game understands
+     */
+    FORMAT_VERSION: 1,
+    
+    /**
+     * Element properties a pack may not set: they hold game logic, which JSON cannot carry
+     */
+    RESERVED_PROPERTIES: ['update', 'sprout', 'onPowered', 'custom', 'pack'],
+    
+    /**
+     * Category ids a pack may not use: the element panel fills these itself
+     */
+    RESERVED_CATEGORIES: ['custom'],
+    
+    /**
+     * Packs currently loaded, by name: { pack, elements, reactions }
+     */
+    loaded: {},
+    
+    /**
+     * Parse the text of a pack file
+     * @param {string} text - JSON text
+     * @returns {Object} Pack
+     * @throws {Error} If the text is not valid JSON
+     */
+    parse: function(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Pack is not valid JSON: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Check that a pack is well formed and supported by this version of the game
+     * @param {Object} pack - Element pack
+     * @throws {Error} Describing the first problem found
+     */
+    validate: function(pack) {
+        if (!pack || typeof pack !== 'object') throw new Error('A pack must be a JSON object');
+        if (typeof pack.name !== 'string' || !pack.name.trim()) throw new Error('A pack needs a name');
+        
+        if (!Number.isInteger(pack.formatVersion)) {
+            throw new Error(`"${pack.name}" has no formatVersion`);
+        }
+        if (pack.formatVersion > this.FORMAT_VERSION) {
+            throw new Error(`"${pack.name}" needs pack format ${pack.formatVersion}, this game supports up to ${this.FORMAT_VERSION}`);
+        }
+        
+        const categories = pack.categories || {};
+        if (typeof categories !== 'object' || Array.isArray(categories)) {
+            throw new Error(`Categories in "${pack.name}" must be an object`);
+        }
+        
+        for (const [id, label] of Object.entries(categories)) {
+            if (!this._isCategoryId(id)) throw new Error(`Invalid category id "${id}"`);
+            if (typeof label !== 'string' || !label.trim()) throw new Error(`Category "${id}" needs a label`);
+        }
+        
+        const elements = pack.elements || {};
+        const known = type => Particles.ELEMENTS[type] !== undefined || elements[type] !== undefined;
+        
+        for (const [type, element] of Object.entries(elements)) {
+            if (!/^[a-z0-9-]+$/.test(type)) throw new Error(`Invalid element id "${type}"`);
+            if (!element || typeof element !== 'object') throw new Error(`Element "${type}" must be an object`);
+            
+            if (element.preset !== undefined && !Particles.CUSTOM_STATES[element.preset]) {
+                throw new Error(`Element "${type}" has unknown preset "${element.preset}"`);
+            }
+            if (!element.preset && !element.state) {
+                throw new Error(`Element "${type}" needs a preset or a state`);
+            }
+            if (!/^#[0-9a-f]{6}$/i.test(element.color)) {
+                throw new Error(`Element "${type}" has invalid color "${element.color}"`);
+            }
+            if (element.behavior && !Particles.BEHAVIORS[element.behavior]) {
+                throw new Error(`Element "${type}" has unknown behavior "${element.behavior}"`);
+            }
+            if (element.category !== undefined && !this._isCategoryId(element.category)) {
+                throw new Error(`Element "${type}" has invalid category "${element.category}"`);
+            }
+            
+            const reserved = this.RESERVED_PROPERTIES.find(property => element[property] !== undefined);
+            if (reserved) throw new Error(`Element "${type}" cannot set "${reserved}"`);
+            
+            // Every element it can turn into must exist somewhere
+            const targets = [element.emitType, element.debris, ...(element.transitions || []).flatMap(t => [t.to, t.spawn])];
+            const missing = targets.find(target => target && !known(target));
+            if (missing) throw new Error(`Element "${type}" refers to unknown element "${missing}"`);
+        }
+        
+        if (pack.reactions !== undefined && !Array.isArray(pack.reactions)) {
+            throw new Error(`Reactions in "${pack.name}" must be a list`);
+        }
+    },
+    
+    /**
+     * Check that a category id from a pack is one the element panel can show
+     * @param {*} id - Category id
+     * @returns {boolean} True if a pack may put elements in it
+     * @private
+     */
+    _isCategoryId: function(id) {
+        return typeof id === 'string' && /^[a-z0-9-]+$/.test(id) && !this.RESERVED_CATEGORIES.includes(id);
+    },
+    
+    /**
+     * Load a pack, replacing an earlier version of the same pack.
+     * Elements and reactions that clash with ones already in the game are skipped and reported.
+     * @param {Object} pack - Element pack
+     * @returns {Object} Report: { name, version, elements, reactions, conflicts, replaced, removed },
+     *     where removed lists the earlier version's element types that this one dropped
+     * @throws {Error} If the pack is invalid
+     */
+    load: function(pack) {
+        this.validate(pack);
+        
+        const replaced = Boolean(this.loaded[pack.name]);
+        const previous = replaced ? this.unload(pack.name) : [];
+        
+        const report = {
+            name: pack.name,
+            version: pack.version || '',
+            elements: [],
+            reactions: [],
+            conflicts: [],
+            replaced,
+            removed: []
+        };
+        const categories = pack.categories || {};
+        
+        // Elements
+        for (const [type, definition] of Object.entries(pack.elements || {})) {
+            if (Particles.ELEMENTS[type]) {
+                const owner = Particles.ELEMENTS[type].pack;
+                report.conflicts.push(`Element "${type}" already exists${owner ? ` (from "${owner}")` : ''}`);
+                continue;
+            }
+            
+            const { preset, category, ...properties } = definition;
+            Particles.ELEMENTS[type] = {
+                ...(preset && Particles.CUSTOM_STATES[preset]),
+                colorVariation: 0.1,
+                heatConduction: 0.3,
+                ...JSON.parse(JSON.stringify(properties)),
+                pack: pack.name
+            };
+            
+            const categoryId = category || 'special';
+            Particles.addToCategory(categoryId, type, Object.hasOwn(categories, categoryId) ? categories[categoryId] : undefined);
+            report.elements.push(type);
+        }
+        
+        // Reactions, compiled like rules and grouped by reactant pair
+        const groups = {};
+        for (const rule of pack.reactions || []) {
+            try {
+                Interactions.validateRule(rule);
+            } catch (error) {
+                report.conflicts.push(`Skipped a reaction: ${error.message}`);
+                continue;
+            }
+            
+            const key = `${rule.reactants[0]}+${rule.reactants[1]}`;
+            const reverse = `${rule.reactants[1]}+${rule.reactants[0]}`;
+            const existing = Interactions.REACTIONS[key] || Interactions.REACTIONS[reverse] ||
+                Interactions.compiledReactions[key] || Interactions.compiledReactions[reverse];
+            
+            if (existing) {
+                const owner = existing.pack;
+                report.conflicts.push(`Reaction "${key}" already exists${owner ? ` (from "${owner}")` : ''}`);
+                continue;
+            }
+            
+            (groups[key] = groups[key] || []).push(Interactions.compileRule(rule));
+        }
+        
+        for (const [key, reactions] of Object.entries(groups)) {
+            const reaction = (engine, x1, y1, x2, y2) => reactions.some(r => r(engine, x1, y1, x2, y2));
+            reaction.pack = pack.name;
+            
+            Interactions.REACTIONS[key] = reaction;
+            report.reactions.push(key);
+        }
+        
+        report.removed = previous.filter(type => !report.elements.includes(type));
+        
+        this.loaded[pack.name] = {
+            pack: JSON.parse(JSON.stringify(pack)),
+            elements: report.elements,
+            reactions: report.reactions
+        };
+        
+        return report;
+    },
+    
+    /**
+     * Remove a pack's elements, reactions and any categories it leaves empty
+     * @param {string} name - Pack name
+     * @returns {Array} Element types that were removed
+     * @throws {Error} If custom elements or rules still use the pack's elements
+     */
+    unload: function(name) {
+        const entry = this.loaded[name];
+        if (!entry) return [];
+        
+        // Don't pull elements out from under the user's own creations
+        const users = [
+            ...Particles.getCustomDefinitions().filter(definition => entry.elements.includes(definition.emitType)).map(definition => definition.name),
+            ...Interactions.getCustomRules().filter(rule =>
+                [...rule.reactants, ...rule.products, rule.byproduct].some(type => entry.elements.includes(type))
+            ).map(rule => `rule ${rule.reactants.join(' + ')}`)
+        ];
+        if (users.length > 0) {
+            throw new Error(`"${name}" is still used by ${users.join(', ')}`);
+        }
+        
+        for (const type of entry.elements) {
+            delete Particles.ELEMENTS[type];
+            Particles.removeFromCategories(type);
+        }
+        
+        for (const key of entry.reactions) {
+            delete Interactions.REACTIONS[key];
+        }
+        
+        delete this.loaded[name];
+        return entry.elements;
+    },
+    
+    /**
+     * Get copies of all loaded packs
+     * @returns {Array} Element packs
+     */
+    getLoadedPacks: function() {
+        return Object.values(this.loaded).map(entry => JSON.parse(JSON.stringify(entry.pack)));
+    }
+};
@@ -4,7 +4,9 @@
  */
 
 const Particles = {
-    // Element definitions with their properties and behaviors
+    // Element definitions with their properties and behaviors.
+    // Movement comes from a shared behavior (see BEHAVIORS); an element's own `update`
+    // is a hook for special logic that runs first and returns true if it handled the update.
     ELEMENTS: {
         // Solid Elements
         'sand': {
@@ -14,46 +16,11 @@ const Particles = {
             color: '#e8d16f',
             colorVariation: 0.1,
             state: 'solid',
+            heatConduction: 0.3,
+            airDrag: 0.15,       // How strongly wind pushes it around
             flammable: false,
             spreadChance: 0.8,   // Chance to spread sideways when falling
-            friction: 0.4,
-            update: function(engine, x, y) {
-                // Basic sand behavior: try to fall down, then diagonally
-                const grid = engine.grid;
-                const height = engine.height;
-                
-                // Don't process if at bottom of grid
-                if (y >= height - 1) return false;
-                
-                // Try to move down
-                if (!grid[y + 1][x]) {
-                    engine.moveParticle(x, y, x, y + 1);
-                    return true;
-                }
-                
-                // Random direction preference for natural-looking piles
-                const direction = Math.random() < 0.5 ? 1 : -1;
-                
-                // Try to move diagonally (either left or right first based on direction)
-                if (x + direction >= 0 && x + direction < engine.width && 
-                    !grid[y + 1][x + direction]) {
-                    if (Math.random() < this.spreadChance) {
-                        engine.moveParticle(x, y, x + direction, y + 1);
-                        return true;
-                    }
-                }
-                
-                // Try the other diagonal
-                if (x - direction >= 0 && x - direction < engine.width && 
-                    !grid[y + 1][x - direction]) {
-                    if (Math.random() < this.spreadChance) {
-                        engine.moveParticle(x, y, x - direction, y + 1);
-                        return true;
-                    }
-                }
-                
-                return false;
-            }
+            friction: 0.4
         },
         
         'wall': {
@@ -63,12 +30,9 @@ const Particles = {
             color: '#808080',
             colorVariation: 0.05,
             state: 'solid',
+            heatConduction: 0.1,
             flammable: false,
-            static: true,
-            update: function() {
-                // Walls don't move or change
-                return false;
-            }
+            static: true
         },
         
         'wood': {
@@ -78,99 +42,284 @@ const Particles = {
             color: '#945c31',
             colorVariation: 0.1,
             state: 'solid',
+            heatConduction: 0.1,
             flammable: true,
             flammability: 0.05,     // Chance to catch fire each update when near fire
             burnTime: 600,          // How long it burns before turning to ash/disappearing
+            transitions: [
+                // Past its ignition temperature it sprouts flames, which burn it down slowly
+                { above: 400, spawn: 'fire', chance: 0.1 }
+            ],
+            static: true
+        },
+        
+        'stone': {
+            density: 2.6,
+            gravity: 0,
+            inertia: 1,
+            color: '#6e6a66',
+            colorVariation: 0.1,
+            state: 'solid',
+            heatConduction: 0.3,
+            flammable: false,
             static: true,
-            update: function(engine, x, y) {
-                // Wood doesn't move but can burn
-                return false;
-            }
+            debris: 'gravel',       // Explosions break it up rather than destroying it
+            transitions: [
+                { above: 1200, to: 'lava', chance: 0.1 }  // Remelts
+            ]
         },
         
-        'metal': {
-            density: 8,
+        'gravel': {
+            density: 2.4,
+            gravity: 1,
+            inertia: 0.9,
+            color: '#8a8580',
+            colorVariation: 0.15,
+            state: 'solid',
+            heatConduction: 0.3,
+            airDrag: 0.05,
+            flammable: false,
+            spreadChance: 0.3,      // Coarser than sand, so it piles steeper
+            transitions: [
+                { above: 1200, to: 'lava', chance: 0.1 }
+            ]
+        },
+        
+        'ice': {
+            density: 0.9,
             gravity: 0,
             inertia: 1,
-            color: '#b8b8b8',
+            color: '#a5d8ff',
             colorVariation: 0.05,
             state: 'solid',
+            temperature: -10,
+            heatConduction: 0.6,
             flammable: false,
-            conductive: true,
             static: true,
-            heatConduction: 0.8,  // High heat conduction
-            update: function() {
-                // Metal doesn't move
+            freezeChance: 0.02,     // Chance per update to freeze cold water touching it
+            transitions: [
+                { above: 5, to: 'water', chance: 0.2 }  // Melts a little past freezing
+            ]
+        },
+        
+        'snow': {
+            density: 0.5,
+            gravity: 0.5,
+            inertia: 0.5,
+            color: '#f4f8ff',
+            colorVariation: 0.04,
+            state: 'solid',
+            temperature: -5,
+            heatConduction: 0.2,
+            airDrag: 0.4,
+            flammable: false,
+            spreadChance: 0.4,
+            compactDepth: 6,        // Particles piled on top needed to press it into ice
+            compactChance: 0.002,
+            transitions: [
+                { above: 2, to: 'water', chance: 0.2 }
+            ],
+            update: function(engine, x, y) {
+                // Snow buried deep enough is squeezed into ice
+                if (engine.hasGravity() && Math.random() < this.compactChance) {
+                    let depth = 0;
+                    while (depth < this.compactDepth) {
+                        const [aboveX, aboveY] = engine.relativeCell(x, y, -(depth + 1), 0);
+                        if (aboveX < 0 || aboveX >= engine.width || aboveY < 0 || aboveY >= engine.height) break;
+                        
+                        const above = engine.grid[aboveY][aboveX];
+                        const aboveType = above && Particles.ELEMENTS[above.type];
+                        if (!aboveType || aboveType.state === 'gas' || aboveType.state === 'energy') break;
+                        
+                        depth++;
+                    }
+                    
+                    if (depth >= this.compactDepth) {
+                        engine.changeParticleType(x, y, 'ice');
+                        return true;
+                    }
+                }
+                
+                // Otherwise it falls and piles like a light sand
                 return false;
             }
         },
         
-        // Liquid Elements
-        'water': {
-            density: 1.0,
-            gravity: 0.7,
-            inertia: 0.3,
-            color: '#4d97ff',
-            colorVariation: 0.1,
-            state: 'liquid',
-            flammable: false,
-            evaporationTemp: 100,    // Temperature at which it turns to steam
-            viscosity: 0.4,          // How easily it flows (0-1)
-            dispersion: 0.8,         // How far it spreads horizontally
+        'seed': {
+            density: 1.1,
+            gravity: 1,
+            inertia: 0.6,
+            color: '#a67c3d',
+            colorVariation: 0.15,
+            state: 'solid',
+            heatConduction: 0.1,
+            airDrag: 0.2,
+            flammable: true,
+            flammability: 0.1,
+            spreadChance: 0.5,
+            sproutChance: 0.05,     // Chance per update to sprout once planted in wet sand
+            update: function(engine, x, y) {
+                // Sprout when sitting in sand with water nearby
+                if (Math.random() < this.sproutChance &&
+                    Particles.isTouching(engine, x, y, 'water') &&
+                    Particles.isTouching(engine, x, y, 'sand')) {
+                    engine.changeParticleType(x, y, 'plant');
+                    return true;
+                }
+                
+                // Otherwise it falls and piles like sand
+                return false;
+            }
+        },
+        
+        'plant': {
+            density: 0.8,
+            gravity: 0,
+            inertia: 1,
+            color: '#3da33d',
+            colorVariation: 0.15,
+            state: 'solid',
+            heatConduction: 0.1,
+            flammable: true,
+            flammability: 0.03,
+            burnTime: 400,
+            transitions: [
+                { above: 300, spawn: 'fire', chance: 0.1 }
+            ],
+            static: true,
+            maxHeight: { min: 10, max: 30 },  // Cells a plant grows from its sprout
+            thirst: 0.2,            // Chance per update to drink an adjacent water particle
+            maxWater: 4,            // Water a single plant cell can hold
+            growthRate: 0.1,        // Chance per update for a watered tip to grow
+            branchChance: 0.15,     // Chance for a new shoot to branch off sideways
             update: function(engine, x, y) {
-                // Basic water behavior: flow down and sideways
                 const grid = engine.grid;
-                const width = engine.width;
-                const height = engine.height;
+                const growth = grid[y][x].growth;
+                let changed = false;
                 
-                // Don't process if at bottom of grid
-                if (y >= height - 1) return false;
+                // Drink from a random neighbor
+                const nx = x + Utils.randomInt(-1, 1);
+                const ny = y + Utils.randomInt(-1, 1);
+                const inBounds = nx >= 0 && nx < engine.width && ny >= 0 && ny < engine.height;
+                const neighbor = inBounds ? grid[ny][nx] : null;
                 
-                // Try to move down
-                if (!grid[y + 1][x]) {
-                    engine.moveParticle(x, y, x, y + 1);
-                    return true;
+                if (neighbor && neighbor.type === 'water' &&
+                    growth.water < this.maxWater && Math.random() < this.thirst) {
+                    engine.removeParticle(nx, ny);
+                    growth.water++;
+                    changed = true;
+                } else if (neighbor && neighbor.type === 'plant' && growth.water > 0 &&
+                    neighbor.growth.height > growth.height && neighbor.growth.water < this.maxWater) {
+                    // Water is drawn up the plant toward the growing tips
+                    neighbor.growth.water++;
+                    growth.water--;
+                    changed = true;
                 }
                 
-                // Randomly decide which way to try flowing first
-                const flowDirection = Math.random() < 0.5 ? 1 : -1;
-                let moved = false;
+                // Only tips grow; stems and mature plants just hold and pass water
+                if (growth.stage !== 'tip' || growth.water < 1 || Math.random() >= this.growthRate) {
+                    return changed;
+                }
                 
-                // Try flowing diagonally first
-                if (x + flowDirection >= 0 && x + flowDirection < width && 
-                    !grid[y + 1][x + flowDirection]) {
-                    engine.moveParticle(x, y, x + flowDirection, y + 1);
+                if (growth.height >= growth.maxHeight) {
+                    growth.stage = 'mature';
                     return true;
                 }
                 
-                // Try other diagonal direction
-                if (x - flowDirection >= 0 && x - flowDirection < width && 
-                    !grid[y + 1][x - flowDirection]) {
-                    engine.moveParticle(x, y, x - flowDirection, y + 1);
-                    return true;
+                // Grow away from gravity (straight up when there is none), wobbling now and then
+                const side = Math.random() < 0.3 ? (Math.random() < 0.5 ? 1 : -1) : 0;
+                const [upX, upY] = engine.hasGravity() ?
+                    engine.relativeCell(x, y, -1, side) : [x + side, y - 1];
+                
+                if (!this.sprout(engine, upX, upY, growth.height + 1, growth.maxHeight)) {
+                    return changed;
                 }
                 
-                // Flow horizontally if we can't flow down
-                if (Math.random() < this.dispersion) {
-                    // Try in random direction first
-                    if (x + flowDirection >= 0 && x + flowDirection < width && 
-                        !grid[y][x + flowDirection]) {
-                        engine.moveParticle(x, y, x + flowDirection, y);
-                        return true;
-                    }
+                growth.water--;
+                growth.stage = 'stem';
+                
+                // Sometimes a shorter side shoot branches off
+                if (growth.height > 2 && Math.random() < this.branchChance) {
+                    const branchSide = side || (Math.random() < 0.5 ? 1 : -1);
+                    const [branchX, branchY] = engine.hasGravity() ?
+                        engine.relativeCell(x, y, -1, -branchSide) : [x - branchSide, y - 1];
+                    const branchLength = Math.ceil((growth.maxHeight - growth.height) / 2);
                     
-                    // Try other direction
-                    if (x - flowDirection >= 0 && x - flowDirection < width && 
-                        !grid[y][x - flowDirection]) {
-                        engine.moveParticle(x, y, x - flowDirection, y);
-                        return true;
-                    }
+                    this.sprout(engine, branchX, branchY, growth.height + 1, growth.height + branchLength);
                 }
                 
-                return false;
+                return true;
+            },
+            
+            /**
+             * Grow a new tip into a cell, drinking any water already there
+             * @param {Object} engine - Reference to the simulation engine
+             * @param {number} x - X coordinate of the new tip
+             * @param {number} y - Y coordinate of the new tip
+             * @param {number} height - Distance of the new tip from the sprout
+             * @param {number} maxHeight - Height at which the new tip stops growing
+             * @returns {boolean} True if the tip was created
+             */
+            sprout: function(engine, x, y, height, maxHeight) {
+                if (x < 0 || x >= engine.width || y < 0 || y >= engine.height) return false;
+                
+                const occupant = engine.grid[y][x];
+                if (occupant && occupant.type !== 'water') return false;
+                
+                if (occupant) {
+                    engine.removeParticle(x, y);
+                }
+                
+                if (!engine.createParticle(x, y, 'plant')) return false;
+                
+                const growth = engine.grid[y][x].growth;
+                growth.height = height;
+                growth.maxHeight = maxHeight;
+                growth.water = occupant ? 1 : 0;
+                
+                return true;
             }
         },
         
+        'metal': {
+            density: 8,
+            gravity: 0,
+            inertia: 1,
+            color: '#b8b8b8',
+            colorVariation: 0.05,
+            state: 'solid',
+            flammable: false,
+            conductive: true,     // Carries charge from sparks
+            static: true,
+            heatConduction: 0.8,  // High heat conduction
+            transitions: [
+                { above: 1500, to: 'molten-metal' }  // Melting point
+            ],
+            update: function(engine, x, y) {
+                // Metal doesn't move, but passes along any charge it carries
+                return engine.conduct(x, y);
+            }
+        },
+        
+        // Liquid Elements
+        'water': {
+            density: 1.0,
+            gravity: 0.7,
+            inertia: 0.3,
+            color: '#4d97ff',
+            colorVariation: 0.1,
+            state: 'liquid',
+            heatConduction: 0.5,
+            airDrag: 0.05,
+            flammable: false,
+            transitions: [
+                { above: 100, to: 'steam' },  // Boils into steam
+                { below: 0, to: 'ice' }       // Freezes solid
+            ],
+            viscosity: 0.1,          // Resistance to flowing (0 runny, 1 nearly solid)
+            dispersion: 0.8          // Chance to spread sideways when it can't fall
+        },
+        
         'oil': {
             density: 0.8,
             gravity: 0.6,
@@ -178,16 +327,16 @@ const Particles = {
             color: '#704214',
             colorVariation: 0.15,
             state: 'liquid',
+            heatConduction: 0.3,
+            airDrag: 0.05,
             flammable: true,
             flammability: 0.2,
             burnTime: 240,
-            viscosity: 0.6,
-            dispersion: 0.7,
-            update: function(engine, x, y) {
-                // Oil behaves similar to water but with different properties
-                // Uses the same update logic as water for now
-                return Particles.ELEMENTS['water'].update.call(this, engine, x, y);
-            }
+            transitions: [
+                { above: 250, to: 'fire' }  // Ignition temperature
+            ],
+            viscosity: 0.3,
+            dispersion: 0.7
         },
         
         'acid': {
@@ -197,11 +346,14 @@ const Particles = {
             color: '#00ff00',
             colorVariation: 0.1,
             state: 'liquid',
+            heatConduction: 0.4,
+            airDrag: 0.05,
             flammable: false,
             corrosive: true,
             corrosionRate: 0.1,     // Chance to dissolve material each update
             lifespan: 200,          // Acid eventually neutralizes
-            dispersion: 0.75,       // How far it spreads horizontally
+            viscosity: 0.15,
+            dispersion: 0.75,       // Chance to spread sideways
             update: function(engine, x, y) {
                 // Acid flows like water but can dissolve materials
                 const grid = engine.grid;
@@ -241,11 +393,47 @@ const Particles = {
                     }
                 }
                 
-                // Flow like water
-                return Particles.ELEMENTS['water'].update.call(this, engine, x, y);
+                // Otherwise it flows like water
+                return false;
             }
         },
         
+        'lava': {
+            density: 2.5,
+            gravity: 0.5,
+            inertia: 0.5,
+            color: '#ff5a1f',
+            colorVariation: 0.2,
+            state: 'liquid',
+            temperature: 1200,
+            heatConduction: 0.2,
+            airDrag: 0.02,
+            flammable: false,
+            viscosity: 0.85,         // Oozes
+            dispersion: 0.3,
+            ignitionChance: 0.1,     // Chance per update to set touching wood alight
+            transitions: [
+                { below: 700, to: 'stone', chance: 0.05 }  // Cools into rock
+            ]
+        },
+        
+        'molten-metal': {
+            density: 7,
+            gravity: 0.8,
+            inertia: 0.6,
+            color: '#ff7a1a',
+            colorVariation: 0.1,
+            state: 'liquid',
+            heatConduction: 0.6,
+            temperature: 1600,      // Poured straight from the furnace
+            flammable: false,
+            viscosity: 0.6,         // Thick, spreads slowly
+            dispersion: 0.3,
+            transitions: [
+                { below: 1200, to: 'metal' }  // Solidifies as it cools
+            ]
+        },
+        
         // Gas Elements
         'steam': {
             density: 0.3,
@@ -254,63 +442,14 @@ const Particles = {
             color: '#dce6f5',
             colorVariation: 0.2,
             state: 'gas',
+            heatConduction: 0.02,   // Holds its heat long enough to rise
+            airDrag: 0.9,
+            temperature: 150,       // Freshly made steam is hot
             flammable: false,
             dispersion: 0.9,        // High dispersion for gases
-            condensationTemp: 80,   // Temperature at which it turns back to water
-            lifespan: 300,          // Steam can exist for a while before dissipating
-            update: function(engine, x, y) {
-                // Steam rises and disperses
-                const grid = engine.grid;
-                const width = engine.width;
-                const height = engine.height;
-                
-                // Random chance to dissipate
-                if (Math.random() < 0.01) {
-                    engine.removeParticle(x, y);
-                    return true;
-                }
-                
-                // Don't process if at top of grid
-                if (y <= 0) return false;
-                
-                // Try to move up
-                if (!grid[y - 1][x]) {
-                    engine.moveParticle(x, y, x, y - 1);
-                    return true;
-                }
-                
-                // Random dispersion direction
-                const direction = Math.random() < 0.5 ? 1 : -1;
-                
-                // Try to move diagonally upward
-                if (x + direction >= 0 && x + direction < width && 
-                    y - 1 >= 0 && !grid[y - 1][x + direction]) {
-                    if (Math.random() < this.dispersion) {
-                        engine.moveParticle(x, y, x + direction, y - 1);
-                        return true;
-                    }
-                }
-                
-                // Try other diagonal
-                if (x - direction >= 0 && x - direction < width && 
-                    y - 1 >= 0 && !grid[y - 1][x - direction]) {
-                    if (Math.random() < this.dispersion) {
-                        engine.moveParticle(x, y, x - direction, y - 1);
-                        return true;
-                    }
-                }
-                
-                // Try horizontal movement
-                if (x + direction >= 0 && x + direction < width && 
-                    !grid[y][x + direction]) {
-                    if (Math.random() < this.dispersion) {
-                        engine.moveParticle(x, y, x + direction, y);
-                        return true;
-                    }
-                }
-                
-                return false;
-            }
+            transitions: [
+                { below: 80, to: 'water' }  // Condenses back into water
+            ]
         },
         
         'smoke': {
@@ -320,6 +459,8 @@ const Particles = {
             color: '#555555',
             colorVariation: 0.2,
             state: 'gas',
+            heatConduction: 0.05,
+            airDrag: 1,
             flammable: false,
             dispersion: 0.95,      // Very high dispersion
             lifespan: 400,         // Exists longer than steam before dissipating
@@ -339,8 +480,8 @@ const Particles = {
                     return true;
                 }
                 
-                // Use the same rising and spreading behaviors as steam
-                return Particles.ELEMENTS['steam'].update.call(this, engine, x, y);
+                // Otherwise it rises and spreads like steam
+                return false;
             }
         },
         
@@ -352,6 +493,8 @@ const Particles = {
             color: '#ff6422',
             colorVariation: 0.3,      // Significant variation for a vibrant fire effect
             state: 'energy',
+            heatConduction: 0.3,
+            airDrag: 0.8,
             flammable: false,
             heat: 500,                // Fire is hot
             heatRadius: 2,            // How far the heat spreads
@@ -396,23 +539,16 @@ const Particles = {
                             if (elemType && elemType.flammable && 
                                 Math.random() < elemType.flammability) {
                                 
-                                engine.changeParticleType(nx, ny, 'fire');
+                                Interactions.ignite(engine, nx, ny);
                                 
-                                // Give it some life properties
-                                grid[ny][nx].life = Utils.randomInt(this.lifespan.min, this.lifespan.max);
                                 if (neighbor.type === 'wood') {
                                     grid[ny][nx].burning = 'wood';  // Remember what it was burning
                                 }
                             }
                             
-                            // Water extinguishes fire immediately
+                            // Water extinguishes fire immediately, soaking up its heat
                             if (neighbor.type === 'water') {
-                                // Sometimes create steam
-                                if (Math.random() < 0.7) {
-                                    engine.changeParticleType(nx, ny, 'steam');
-                                } else {
-                                    engine.removeParticle(nx, ny);
-                                }
+                                engine.addHeat(nx, ny, this.heat * 0.2);
                                 engine.removeParticle(x, y);
                                 return true;
                             }
@@ -420,16 +556,13 @@ const Particles = {
                     }
                 }
                 
-                // Fire can rise
-                if (y > 0 && !grid[y - 1][x] && Math.random() < 0.4) {
-                    engine.moveParticle(x, y, x, y - 1);
-                    return true;
-                }
+                // Fire rises slowly (its gravity is negative) and can be thrown around
+                if (engine.applyVelocity(x, y)) return true;
                 
-                // Random horizontal movement
-                const moveX = x + (Math.random() < 0.5 ? 1 : -1);
-                if (moveX >= 0 && moveX < width && !grid[y][moveX] && Math.random() < 0.3) {
-                    engine.moveParticle(x, y, moveX, y);
+                // Random sideways movement
+                const [sideX, sideY] = engine.relativeCell(x, y, 0, Math.random() < 0.5 ? 1 : -1);
+                if (engine.isEmpty(sideX, sideY) && Math.random() < 0.3) {
+                    engine.moveParticle(x, y, sideX, sideY);
                     return true;
                 }
                 
@@ -444,8 +577,12 @@ const Particles = {
             color: '#ffff00',
             colorVariation: 0.2,
             state: 'energy',
+            heatConduction: 0.5,
+            airDrag: 0.3,
             flammable: false,
             conductivity: 1.0,        // Perfect conductivity
+            heat: 800,                // Sparks are briefly very hot
+            heatRadius: 1,
             lifespan: { min: 5, max: 20 }, // Very short lifespan
             update: function(engine, x, y) {
                 const grid = engine.grid;
@@ -467,8 +604,8 @@ const Particles = {
                     return true;
                 }
                 
-                // Find conductive neighbors to spread to
-                const conductiveNeighbors = [];
+                // Look for conductors to energize and flammables to ignite
+                let energized = false;
                 for (let dy = -1; dy <= 1; dy++) {
                     for (let dx = -1; dx <= 1; dx++) {
                         if (dx === 0 && dy === 0) continue;
@@ -480,24 +617,24 @@ const Particles = {
                             const neighbor = grid[ny][nx];
                             const elemType = Particles.ELEMENTS[neighbor.type];
                             
-                            // If neighbor is conductive, add to possible spread locations
-                            if (elemType && elemType.conductive) {
-                                conductiveNeighbors.push([nx, ny]);
+                            // If neighbor is conductive, send the spark's charge into it
+                            if (elemType && elemType.conductive && engine.energize(nx, ny, x, y)) {
+                                energized = true;
+                                continue;
                             }
                             
                             // If neighbor is flammable, chance to ignite
                             if (elemType && elemType.flammable && 
                                 Math.random() < elemType.flammability * 2) { // Sparks ignite more easily
-                                engine.changeParticleType(nx, ny, 'fire');
+                                Interactions.ignite(engine, nx, ny);
                             }
                         }
                     }
                 }
                 
-                // Spark can jump to a random conductive neighbor
-                if (conductiveNeighbors.length > 0 && Math.random() < 0.7) {
-                    const [nx, ny] = Utils.randomElement(conductiveNeighbors);
-                    engine.moveParticle(x, y, nx, ny);
+                // The spark is used up once its charge enters a circuit
+                if (energized) {
+                    engine.removeParticle(x, y);
                     return true;
                 }
                 
@@ -518,69 +655,252 @@ const Particles = {
             }
         },
         
-        // Special elements
-        'source-water': {
+        // Explosives
+        'gunpowder': {
+            density: 1.2,
+            gravity: 1,
+            inertia: 0.7,
+            color: '#3b3b3b',
+            colorVariation: 0.15,
+            state: 'solid',
+            heatConduction: 0.2,
+            airDrag: 0.15,
+            flammable: false,
+            spreadChance: 0.6,
+            explosive: true,
+            blastRadius: 3,
+            blastPower: 3,
+            ignitionTemp: 200,   // Goes off when heated this much
+            onPowered: function(engine, x, y) {
+                // Live wires set it off
+                engine.detonate(x, y);
+            },
+            update: function(engine, x, y) {
+                return Particles.updateExplosive.call(this, engine, x, y);
+            }
+        },
+        
+        'nitro': {
+            density: 1.6,
+            gravity: 0.7,
+            inertia: 0.3,
+            color: '#c8e05a',
+            colorVariation: 0.05,
+            state: 'liquid',
+            heatConduction: 0.3,
+            airDrag: 0.05,
+            flammable: false,
+            viscosity: 0.3,
+            dispersion: 0.7,
+            explosive: true,
+            blastRadius: 8,
+            blastPower: 6,
+            ignitionTemp: 150,
+            onPowered: function(engine, x, y) {
+                engine.detonate(x, y);
+            },
+            update: function(engine, x, y) {
+                return Particles.updateExplosive.call(this, engine, x, y);
+            }
+        },
+        
+        // Electronics
+        'battery': {
             density: 10,
             gravity: 0,
             inertia: 1,
-            color: '#0077be',
-            colorVariation: 0.05,
+            color: '#c9a227',
+            colorVariation: 0,
             state: 'special',
+            heatConduction: 0.3,
             static: true,
-            emitRate: 0.2,       // Chance to emit each update
-            emitType: 'water',   // Type of particle to emit
+            pulseInterval: 20,   // Updates between pulses
             update: function(engine, x, y) {
-                const grid = engine.grid;
-                const width = engine.width;
-                const height = engine.height;
-                
-                // Check if should emit
-                if (Math.random() < this.emitRate) {
-                    // Find an empty adjacent cell to emit into
-                    const directions = [
-                        [0, 1],   // down
-                        [1, 0],   // right
-                        [0, -1],  // up
-                        [-1, 0],  // left
-                    ];
-                    
-                    // Shuffle directions for more natural emission
-                    directions.sort(() => Math.random() - 0.5);
-                    
-                    for (const [dx, dy] of directions) {
-                        const nx = x + dx;
-                        const ny = y + dy;
-                        
-                        if (nx >= 0 && nx < width && ny >= 0 && ny < height && !grid[ny][nx]) {
-                            engine.createParticle(nx, ny, this.emitType);
-                            return true;
+                // Send a pulse into every neighbouring conductor
+                if (engine.updateCount % this.pulseInterval === 0) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            if (dx === 0 && dy === 0) continue;
+                            engine.energize(x + dx, y + dy, x, y);
                         }
                     }
                 }
                 
-                return false;
+                // Always stay active so the pulses keep coming
+                return true;
+            }
+        },
+        
+        'switch': {
+            density: 8,
+            gravity: 0,
+            inertia: 1,
+            color: '#8c3a3a',
+            onColor: '#3a8c4a',
+            colorVariation: 0,
+            state: 'solid',
+            heatConduction: 0.6,
+            flammable: false,
+            conductive: true,
+            static: true,
+            acceptsCharge: function(particle) {
+                // Click to turn on; only conducts while on
+                return !!particle.on;
+            },
+            update: function(engine, x, y) {
+                return engine.conduct(x, y);
+            }
+        },
+        
+        'diode': {
+            density: 8,
+            gravity: 0,
+            inertia: 1,
+            color: '#6b4c9a',
+            colorVariation: 0,
+            state: 'solid',
+            heatConduction: 0.6,
+            flammable: false,
+            conductive: true,
+            static: true,
+            directional: true,   // Only conducts the way it was drawn
+            defaultDir: [1, 0],  // Left to right unless drawn with a direction
+            update: function(engine, x, y) {
+                return engine.conduct(x, y);
+            }
+        },
+        
+        'inverter': {
+            density: 8,
+            gravity: 0,
+            inertia: 1,
+            color: '#2f6f8f',
+            colorVariation: 0,
+            state: 'special',
+            heatConduction: 0.6,
+            static: true,
+            directional: true,   // Input from behind, output in front
+            defaultDir: [1, 0],
+            pulseInterval: 20,   // Updates between output pulses
+            holdTime: 30,        // How long an input pulse keeps the output off
+            onPowered: function(engine, x, y, fromX, fromY) {
+                // Charge arriving from behind switches the output off for a while
+                const [dirX, dirY] = engine.getDirection(x, y);
+                if ((x - fromX) * dirX + (y - fromY) * dirY > 0) {
+                    engine.grid[y][x].inhibitedUntil = engine.updateCount + this.holdTime;
+                }
+            },
+            update: function(engine, x, y) {
+                const particle = engine.grid[y][x];
+                const inhibited = engine.updateCount < (particle.inhibitedUntil || 0);
+                
+                // Pulse forward whenever there's no input
+                if (!inhibited && engine.updateCount % this.pulseInterval === 0) {
+                    const [dirX, dirY] = engine.getDirection(x, y);
+                    engine.energize(x + dirX, y + dirY, x, y);
+                }
+                
+                return true;
+            }
+        },
+        
+        'lamp': {
+            density: 3,
+            gravity: 0,
+            inertia: 1,
+            color: '#4a4a3a',
+            litColor: '#fff4b0',
+            colorVariation: 0,
+            state: 'solid',
+            heatConduction: 0.3,
+            flammable: false,
+            conductive: true,
+            static: true,
+            glowTime: 25,        // Updates a pulse keeps the lamp lit
+            update: function(engine, x, y) {
+                const particle = engine.grid[y][x];
+                
+                // Light up while charged, then fade
+                if (particle.charge > 0) {
+                    particle.glow = this.glowTime;
+                } else if (particle.glow > 0) {
+                    particle.glow--;
+                }
+                
+                return engine.conduct(x, y) || particle.glow > 0;
             }
         },
         
+        // Special elements
+        'source-water': {
+            label: 'Water Source',
+            density: 10,
+            gravity: 0,
+            inertia: 1,
+            color: '#0077be',
+            colorVariation: 0.05,
+            state: 'special',
+            heatConduction: 0.1,
+            static: true,
+            emitRate: 0.2,       // Chance to emit each update
+            emitType: 'water',   // Type of particle to emit
+            behavior: 'emitter'
+        },
+        
         'source-sand': {
+            label: 'Sand Source',
             density: 10,
             gravity: 0,
             inertia: 1,
             color: '#d9b166',
             colorVariation: 0.05,
             state: 'special',
+            heatConduction: 0.1,
             static: true,
             emitRate: 0.15,      // Slower than water
             emitType: 'sand',    // Type of particle to emit
+            behavior: 'emitter'
+        },
+        
+        'fan': {
+            density: 10,
+            gravity: 0,
+            inertia: 1,
+            color: '#7fa7c9',
+            colorVariation: 0.05,
+            state: 'special',
+            heatConduction: 0.3,
+            static: true,
+            directional: true,   // Faces the way it was drawn
+            defaultDir: [0, -1], // Blows upward unless drawn with a direction
+            fanStrength: 0.05,   // Wind added by each fan cell every update
             update: function(engine, x, y) {
-                // Use the same update logic as water source
-                return Particles.ELEMENTS['source-water'].update.call(
-                    { ...this }, // Clone this to keep emitType
-                    engine, x, y
+                const [dirX, dirY] = engine.getDirection(x, y);
+                
+                // Push the air just in front of the fan, since the fan itself blocks air
+                const cellSize = engine.air.cellSize;
+                engine.air.addVelocity(
+                    x + dirX * cellSize, y + dirY * cellSize, 0,
+                    dirX * this.fanStrength, dirY * this.fanStrength
                 );
+                
+                return true;
             }
         },
         
+        'cooler': {
+            density: 10,
+            gravity: 0,
+            inertia: 1,
+            color: '#3f7fbf',
+            colorVariation: 0.05,
+            state: 'special',
+            heatConduction: 0.5,
+            static: true,
+            heat: -40,              // Holds itself this cold, chilling its surroundings
+            heatRadius: 2
+        },
+        
         'void': {
             density: 10,
             gravity: 0,
@@ -588,6 +908,7 @@ const Particles = {
             color: '#222222',
             colorVariation: 0,
             state: 'special',
+            heatConduction: 0,
             static: true,
             voidRadius: 1,      // How far it will delete particles
             update: function(engine, x, y) {
@@ -623,6 +944,311 @@ const Particles = {
         }
     },
     
+    /**
+     * Definitions of user-made elements by id, kept as plain data so they can be saved
+     */
+    customDefinitions: {},
+    
+    /**
+     * Custom element ids, as made by toCustomId. Ids from files and links must match it too.
+     */
+    CUSTOM_ID_PATTERN: /^custom-[a-z0-9-]+$/,
+    
+    /**
+     * Starting properties for each state a custom element can have
+     */
+    CUSTOM_STATES: {
+        powder: { state: 'solid', gravity: 1, inertia: 0.8, spreadChance: 0.6, airDrag: 0.15, heatConduction: 0.3 },
+        solid: { state: 'solid', static: true, gravity: 0, inertia: 1, heatConduction: 0.3 },
+        liquid: { state: 'liquid', gravity: 0.7, inertia: 0.3, viscosity: 0.2, dispersion: 0.8, airDrag: 0.05, heatConduction: 0.4 },
+        gas: { state: 'gas', gravity: -0.4, inertia: 0.2, dispersion: 0.9, airDrag: 0.9, heatConduction: 0.05 }
+    },
+    
+    /**
+     * Turn an element name into the id used for a custom element
+     * @param {string} name - Display name
+     * @returns {string} Element id, or an empty string if the name has no usable characters
+     */
+    toCustomId: function(name) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return slug ? `custom-${slug}` : '';
+    },
+    
+    /**
+     * Add a user-made element, or replace one with the same id.
+     * Particles already on the grid pick up the new definition immediately.
+     * @param {Object} definition - { id?, name, color, colorVariation, state, density, flammability, lifespan, emitType }
+     * @returns {string} Id of the registered element
+     * @throws {Error} If the definition is invalid
+     */
+    registerElement: function(definition) {
+        const name = String(definition.name || '').trim();
+        const id = definition.id || this.toCustomId(name);
+        
+        if (!id) throw new Error('Custom elements need a name');
+        if (typeof id !== 'string' || !this.CUSTOM_ID_PATTERN.test(id)) {
+            throw new Error('Invalid custom element id');
+        }
+        if (this.ELEMENTS[id] && !this.customDefinitions[id]) {
+            throw new Error(`"${id}" is already a built-in element`);
+        }
+        
+        const preset = this.CUSTOM_STATES[definition.state];
+        if (!preset) throw new Error(`Unknown state "${definition.state}"`);
+        
+        const color = String(definition.color || '');
+        if (!/^#[0-9a-f]{6}$/i.test(color)) throw new Error(`Invalid color "${color}"`);
+        
+        const density = Number(definition.density);
+        if (!(density > 0)) throw new Error('Density must be a positive number');
+        
+        const emitType = definition.emitType || '';
+        if (emitType && !Object.hasOwn(this.ELEMENTS, emitType)) throw new Error(`Unknown emit type "${emitType}"`);
+        if (emitType === id) throw new Error('An element cannot emit itself');
+        
+        // What gets saved: only the fields the creator edits
+        const saved = {
+            id,
+            name: name || id,
+            color,
+            colorVariation: Utils.clamp(Number(definition.colorVariation) || 0, 0, 1),
+            state: definition.state,
+            density,
+            flammability: Utils.clamp(Number(definition.flammability) || 0, 0, 1),
+            lifespan: Math.max(0, Math.round(Number(definition.lifespan) || 0)),
+            emitType
+        };
+        
+        const element = {
+            ...preset,
+            label: saved.name,
+            custom: true,
+            color: saved.color,
+            colorVariation: saved.colorVariation,
+            density: saved.density,
+            flammable: saved.flammability > 0,
+            flammability: saved.flammability
+        };
+        
+        // Particles that only last a while
+        if (saved.lifespan > 0) {
+            element.lifespan = saved.lifespan;
+            element.update = this.ageParticle;
+        }
+        
+        // Emitters stay put and spawn their emit type
+        if (saved.emitType) {
+            Object.assign(element, {
+                state: 'special',
+                static: true,
+                gravity: 0,
+                inertia: 1,
+                behavior: 'emitter',
+                emitRate: 0.2,
+                emitType: saved.emitType
+            });
+        }
+        
+        this.customDefinitions[id] = saved;
+        this.ELEMENTS[id] = element;
+        
+        return id;
+    },
+    
+    /**
+     * Remove a user-made element
+     * @param {string} id - Element id
+     * @returns {boolean} True if the element existed and was removed
+     */
+    unregisterElement: function(id) {
+        if (!this.customDefinitions[id]) return false;
+        
+        delete this.customDefinitions[id];
+        delete this.ELEMENTS[id];
+        
+        return true;
+    },
+    
+    /**
+     * Get copies of the definitions of all user-made elements
+     * @returns {Array} Custom element definitions
+     */
+    getCustomDefinitions: function() {
+        return Object.values(this.customDefinitions).map(definition => ({ ...definition }));
+    },
+    
+    /**
+     * Update hook for elements with a lifespan: count down, then disappear.
+     * Call with the element definition as `this`.
+     * @param {Object} engine - Reference to the simulation engine
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the particle ran out of life
+     */
+    ageParticle: function(engine, x, y) {
+        const particle = engine.grid[y][x];
+        
+        if (particle.life === undefined) {
+            particle.life = this.lifespan;
+        }
+        
+        particle.life--;
+        
+        if (particle.life <= 0) {
+            engine.removeParticle(x, y);
+            return true;
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Movement behaviors shared by elements, each called with the element definition.
+     * Elements pick one with `behavior`, otherwise it follows from `state` (see getBehavior).
+     */
+    BEHAVIORS: {
+        // Falls and piles up, sliding off slopes
+        powder: function(engine, x, y, elementType) {
+            return engine.movePowder(x, y, elementType);
+        },
+        
+        // Falls and flows sideways, slowed by viscosity
+        liquid: function(engine, x, y, elementType) {
+            return engine.moveLiquid(x, y, elementType);
+        },
+        
+        // Rises and drifts
+        gas: function(engine, x, y, elementType) {
+            return engine.moveGas(x, y, elementType);
+        },
+        
+        // Never moves
+        static: function() {
+            return false;
+        },
+        
+        // Stays put and spawns `emitType` particles into empty neighbors
+        emitter: function(engine, x, y, elementType) {
+            const grid = engine.grid;
+            const width = engine.width;
+            const height = engine.height;
+            
+            // Check if should emit
+            if (Math.random() < elementType.emitRate) {
+                // Find an empty adjacent cell to emit into
+                const directions = [
+                    [0, 1],   // down
+                    [1, 0],   // right
+                    [0, -1],  // up
+                    [-1, 0],  // left
+                ];
+                
+                // Shuffle directions for more natural emission
+                directions.sort(() => Math.random() - 0.5);
+                
+                for (const [dx, dy] of directions) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height && !grid[ny][nx]) {
+                        engine.createParticle(nx, ny, elementType.emitType);
+                        return true;
+                    }
+                }
+            }
+            
+            return false;
+        }
+    },
+    
+    /**
+     * Get the movement behavior for an element
+     * @param {Object} elementType - Element definition
+     * @returns {Function|null} Behavior function, or null if the element moves itself
+     */
+    getBehavior: function(elementType) {
+        if (elementType.behavior) {
+            return this.BEHAVIORS[elementType.behavior] || null;
+        }
+        
+        if (elementType.static) return this.BEHAVIORS.static;
+        
+        switch (elementType.state) {
+            case 'solid': return this.BEHAVIORS.powder;
+            case 'liquid': return this.BEHAVIORS.liquid;
+            case 'gas': return this.BEHAVIORS.gas;
+            default: return null; // Energy and special elements handle movement in their hook
+        }
+    },
+    
+    /**
+     * Update a particle: run the element's hook, then its movement behavior
+     * @param {Object} engine - Reference to the simulation engine
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} elementType - Element definition of the particle
+     * @returns {boolean} True if the particle moved or changed
+     */
+    updateParticle: function(engine, x, y, elementType) {
+        // The hook gets first say and can take over the whole update
+        if (elementType.update && elementType.update(engine, x, y)) return true;
+        
+        const behavior = this.getBehavior(elementType);
+        return behavior ? behavior(engine, x, y, elementType) : false;
+    },
+    
+    /**
+     * Check whether any of the eight neighbors of a cell is of a given type
+     * @param {Object} engine - Reference to the simulation engine
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} type - Element type to look for
+     * @returns {boolean} True if a neighbor of that type exists
+     */
+    isTouching: function(engine, x, y, type) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                
+                if ((dx !== 0 || dy !== 0) && nx >= 0 && nx < engine.width && ny >= 0 && ny < engine.height &&
+                    engine.grid[ny][nx] && engine.grid[ny][nx].type === type) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Shared fuse and heat handling for explosive elements.
+     * Call with the element definition as `this`.
+     * @param {Object} engine - Reference to the simulation engine
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the explosive is burning down or went off
+     */
+    updateExplosive: function(engine, x, y) {
+        const particle = engine.grid[y][x];
+        
+        // Caught in another blast: count down, then go off
+        if (particle.fuse !== undefined) {
+            particle.fuse--;
+            if (particle.fuse <= 0) {
+                engine.detonate(x, y);
+            }
+            return true;
+        }
+        
+        // Too hot to stay stable
+        if (engine.getTemperature(x, y) > this.ignitionTemp) {
+            return engine.detonate(x, y);
+        }
+        
+        return false;
+    },
+    
     /**
      * Create a new particle of the specified type
      * @param {string} type - Particle type
@@ -657,20 +1283,120 @@ const Particles = {
             );
         }
         
+        // Plants track how far along they are in growing
+        if (type === 'plant') {
+            particle.growth = {
+                stage: 'tip',   // 'tip' grows, 'stem' carries water, 'mature' has stopped
+                water: 0,
+                height: 0,
+                maxHeight: Utils.randomInt(elementType.maxHeight.min, elementType.maxHeight.max)
+            };
+        }
+        
         return particle;
     },
     
+    /**
+     * Shapes of the particle properties element code reads without checking.
+     * Saves, files and links can hold anything, so stored properties are held to these.
+     */
+    PROPERTY_CHECKS: {
+        temperature: Number.isFinite,
+        vx: Number.isFinite,
+        vy: Number.isFinite,
+        colorVariation: Number.isFinite,
+        life: Number.isFinite,
+        charge: Number.isFinite,
+        chargedAt: Number.isFinite,
+        cooldown: Number.isFinite,
+        inhibitedUntil: Number.isFinite,
+        fuse: Number.isFinite,
+        glow: Number.isFinite,
+        corrosion: Number.isFinite,
+        burning: value => Number.isFinite(value) || typeof value === 'string',
+        on: value => typeof value === 'boolean',
+        dir: value => Array.isArray(value) && value.length === 2 &&
+            value.every(step => step === -1 || step === 0 || step === 1) && (value[0] !== 0 || value[1] !== 0),
+        growth: value => value !== null && typeof value === 'object' &&
+            ['tip', 'stem', 'mature'].includes(value.stage) &&
+            Number.isFinite(value.water) && Number.isFinite(value.height) && Number.isFinite(value.maxHeight)
+    },
+    
+    /**
+     * Check that a stored particle property has a shape element code can use
+     * @param {string} key - Property name
+     * @param {*} value - Stored value
+     * @returns {boolean} True if the value is safe to put on a particle
+     */
+    isValidProperty: function(key, value) {
+        if (Object.hasOwn(this.PROPERTY_CHECKS, key)) return this.PROPERTY_CHECKS[key](value);
+        
+        // Nothing reads any other property as an object, so only plain values may come along
+        return value === null || typeof value !== 'object';
+    },
+    
+    // Element panel categories, in display order. Element packs can add more.
+    CATEGORIES: {
+        'solids': { label: 'Solids', elements: ['sand', 'wall', 'wood', 'metal', 'stone', 'gravel', 'ice', 'snow'] },
+        'liquids': { label: 'Liquids', elements: ['water', 'oil', 'acid', 'lava', 'molten-metal'] },
+        'gases': { label: 'Gases', elements: ['steam', 'smoke'] },
+        'energy': { label: 'Energy', elements: ['fire', 'spark'] },
+        'life': { label: 'Life', elements: ['seed', 'plant'] },
+        'explosives': { label: 'Explosives', elements: ['gunpowder', 'nitro'] },
+        'electronics': { label: 'Electronics', elements: ['battery', 'switch', 'diode', 'inverter', 'lamp'] },
+        'special': { label: 'Special', elements: ['source-water', 'source-sand', 'fan', 'cooler', 'void'] }
+    },
+    
+    /**
+     * Get the display name of an element
+     * @param {string} type - Element type
+     * @returns {string} Its label, or the type in title case
+     */
+    getLabel: function(type) {
+        const elementType = this.ELEMENTS[type];
+        if (elementType && elementType.label) return elementType.label;
+        
+        return type.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    },
+    
+    /**
+     * Add an element to a category, creating the category if needed
+     * @param {string} category - Category id
+     * @param {string} type - Element type
+     * @param {string} [label] - Display name for a new category
+     */
+    addToCategory: function(category, type, label) {
+        if (!Object.hasOwn(this.CATEGORIES, category)) {
+            this.CATEGORIES[category] = { label: label || this.getLabel(category), elements: [] };
+        }
+        
+        const elements = this.CATEGORIES[category].elements;
+        if (!elements.includes(type)) elements.push(type);
+    },
+    
+    /**
+     * Take an element out of whichever category holds it, dropping categories left empty
+     * @param {string} type - Element type
+     */
+    removeFromCategories: function(type) {
+        for (const [category, entry] of Object.entries(this.CATEGORIES)) {
+            entry.elements = entry.elements.filter(element => element !== type);
+            if (entry.elements.length === 0) delete this.CATEGORIES[category];
+        }
+    },
+    
     /**
      * Get the category list of all element types
      * @returns {Object} Categorized elements
      */
     getCategorizedElements: function() {
-        return {
-            'solids': ['sand', 'wall', 'wood', 'metal'],
-            'liquids': ['water', 'oil', 'acid'],
-            'gases': ['steam', 'smoke'],
-            'energy': ['fire', 'spark'],
-            'special': ['source-water', 'source-sand', 'void']
-        };
+        const categories = {};
+        
+        for (const [category, entry] of Object.entries(this.CATEGORIES)) {
+            categories[category] = entry.elements.filter(type => this.ELEMENTS[type]);
+        }
+        
+        categories['custom'] = Object.keys(this.customDefinitions);
+        return categories;
     }
 };
@@ -30,8 +30,11 @@ class Renderer {
         // For debug visualization
         this.showActiveRegions = false;
         
-        // Color mapping for elements
-        this.colorMap = Utils.getElementColors();
+        // Heat map view instead of element colors
+        this.showTemperature = false;
+        
+        // Called with each finished frame, e.g. by recorders
+        this.frameListeners = new Set();
     }
     
     /**
@@ -91,7 +94,8 @@ class Renderer {
         const imgData = this.imageData.data;
         
         // Check if we need a full redraw
-        if (forceFullRedraw || this.fullRedraw) {
+        // The heat map changes everywhere, so it always redraws fully
+        if (forceFullRedraw || this.fullRedraw || this.showTemperature) {
             // Clear and redraw everything
             this.clearCanvas();
             this.fullRedraw = false;
@@ -111,6 +115,7 @@ class Renderer {
             // Clear dirty regions after full redraw
             this.dirtyRegions.clear();
             
+            this._notifyFrameListeners();
             return;
         }
         
@@ -166,6 +171,8 @@ class Renderer {
             this.dirtyRegions.clear();
         }
         
+        this._notifyFrameListeners();
+        
         // Debug: Show active regions
         if (this.showActiveRegions) {
             this.ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
@@ -192,7 +199,9 @@ class Renderer {
      */
     drawCell(x, y, imgData) {
         // Get cell color
-        const color = this.engine.getPixelColor(x, y);
+        const color = this.showTemperature ?
+            this.engine.getTemperatureColor(x, y) :
+            this.engine.getPixelColor(x, y);
         
         if (color) {
             // Compute pixel position in the image data
@@ -290,6 +299,7 @@ class Renderer {
         switch (currentTool) {
             case 'brush':
             case 'eraser':
+            case 'wind':
                 // Draw circle outline with radius equal to brush size
                 const radius = brushSize * this.pixelSize;
                 this.ctx.strokeStyle = currentTool === 'eraser' ? 'white' : 'rgba(255, 255, 255, 0.8)';
@@ -420,6 +430,108 @@ class Renderer {
         this.showActiveRegions = !this.showActiveRegions;
     }
     
+    /**
+     * Set whether the heat map view is shown
+     * @param {boolean} show - True to render temperatures instead of elements
+     */
+    setShowTemperature(show) {
+        this.showTemperature = show;
+        this.fullRedraw = true;
+    }
+    
+    /**
+     * Make a small picture of the canvas, e.g. for the save browser
+     * @param {number} [width=160] - Thumbnail width in pixels; height keeps the aspect ratio
+     * @returns {string} JPEG data URL
+     */
+    createThumbnail(width = 160) {
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = width;
+        thumbnail.height = Math.round(width * this.canvas.height / this.canvas.width);
+        
+        thumbnail.getContext('2d').drawImage(this.canvas, 0, 0, thumbnail.width, thumbnail.height);
+        
+        return thumbnail.toDataURL('image/jpeg', 0.7);
+    }
+    
+    /**
+     * Get the last rendered frame at one pixel per cell, without cursors or previews
+     * @returns {ImageData} Frame
+     */
+    getFramePixels() {
+        const { width, height } = this.engine;
+        const frame = this.ctx.createImageData(width, height);
+        const source = new Uint32Array(this.imageData.data.buffer);
+        const target = new Uint32Array(frame.data.buffer);
+        
+        // Every cell fills a pixelSize square; its top-left pixel has the color
+        for (let y = 0; y < height; y++) {
+            const row = y * this.pixelSize * this.canvas.width;
+            
+            for (let x = 0; x < width; x++) {
+                target[y * width + x] = source[row + x * this.pixelSize];
+            }
+        }
+        
+        return frame;
+    }
+    
+    /**
+     * Draw the last rendered frame at any scale, e.g. for screenshots
+     * @param {number} [scale=1] - Pixels per cell
+     * @param {HTMLCanvasElement} [target] - Canvas to draw into; a new one by default
+     * @returns {HTMLCanvasElement} Canvas of the grid size times scale
+     */
+    drawFrame(scale = 1, target = document.createElement('canvas')) {
+        // Recorders draw every frame, so keep the one-pixel-per-cell canvas around
+        if (!this._frameCanvas) {
+            this._frameCanvas = document.createElement('canvas');
+            this._frameCanvas.width = this.engine.width;
+            this._frameCanvas.height = this.engine.height;
+        }
+        const frame = this._frameCanvas;
+        frame.getContext('2d').putImageData(this.getFramePixels(), 0, 0);
+        
+        // Resizing clears a canvas, so only do it when the size changes
+        if (target.width !== frame.width * scale || target.height !== frame.height * scale) {
+            target.width = frame.width * scale;
+            target.height = frame.height * scale;
+        }
+        
+        // Keep cells as crisp squares instead of blurring them
+        const ctx = target.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(frame, 0, 0, target.width, target.height);
+        
+        return target;
+    }
+    
+    /**
+     * Call a function after every rendered frame
+     * @param {Function} listener - Called with the renderer
+     */
+    addFrameListener(listener) {
+        this.frameListeners.add(listener);
+    }
+    
+    /**
+     * Stop calling a function added with addFrameListener
+     * @param {Function} listener - Listener to remove
+     */
+    removeFrameListener(listener) {
+        this.frameListeners.delete(listener);
+    }
+    
+    /**
+     * Tell frame listeners a frame is ready
+     * @private
+     */
+    _notifyFrameListeners() {
+        for (const listener of this.frameListeners) {
+            listener(this);
+        }
+    }
+    
     /**
      * Force a full redraw on the next render
      */
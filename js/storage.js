@@ -5,59 +5,194 @@
 
 const Storage = {
     /**
-     * Maximum number of saved creations
+     * Backend holding saved creations (see StorageBackends), once init has picked one
      */
-    MAX_SAVES: 10,
+    backend: null,
     
     /**
-     * Name of localStorage key for saves
+     * Promise for the backend, set by init
      */
-    STORAGE_KEY: 'openPowderGameSaves',
+    ready: null,
     
     /**
-     * Initialize storage
+     * Name of localStorage key for the user's custom element library
+     */
+    ELEMENTS_KEY: 'openPowderGameElements',
+    
+    /**
+     * Name of localStorage key for the user's reaction rules
+     */
+    RULES_KEY: 'openPowderGameRules',
+    
+    /**
+     * Name of localStorage key for the element packs the user has loaded
+     */
+    PACKS_KEY: 'openPowderGamePacks',
+    
+    /**
+     * Longest URL hash a share link may carry, in characters.
+     * Longer links get cut off by chat apps and some browsers.
+     */
+    MAX_SHARE_LENGTH: 60000,
+    
+    /**
+     * Hash prefix that marks a shared scene in a URL
+     */
+    SHARE_PREFIX: '#scene=',
+    
+    /**
+     * Version of the save format written by saveGame and exportGame
+     */
+    SAVE_VERSION: '2.0',
+    
+    /**
+     * Upgrades from each older save version to the next one
+     */
+    MIGRATIONS: {
+        /**
+         * 1.0 exports kept only a run-length encoding of types, and 1.0 saves had no settings.
+         * Particles come back as fresh ones of their type, under the current settings.
+         */
+        '1.0': function(state) {
+            let particles = state.particles;
+            
+            if (!particles) {
+                const grid = this._decodeGrid(state.grid, state.width, state.height);
+                particles = [];
+                
+                for (let y = 0; y < state.height; y++) {
+                    for (let x = 0; x < state.width; x++) {
+                        if (grid[y][x]) {
+                            const { updated, ...particle } = grid[y][x];
+                            particles.push(particle);
+                        }
+                    }
+                }
+            }
+            
+            return {
+                version: '2.0',
+                width: state.width,
+                height: state.height,
+                particles,
+                count: particles.length,
+                settings: {}
+            };
+        }
+    },
+    
+    /**
+     * Initialize storage: open IndexedDB, or fall back to localStorage, and move any
+     * saves left in localStorage over. Libraries (elements, rules, packs) stay in localStorage.
+     * If neither can be opened, the next call tries again.
+     * @returns {Promise<Object>} Resolves with the backend in use
+     * @throws {Error} (as a rejection) If the browser blocks both kinds of storage
      */
     init: function() {
-        // Create storage if it doesn't exist
-        if (!localStorage.getItem(this.STORAGE_KEY)) {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({}));
+        if (this.ready) return this.ready;
+        
+        const fallback = StorageBackends.localStorage;
+        const preferred = StorageBackends.indexedDB;
+        
+        const open = preferred.isAvailable() ?
+            preferred.open().then(() => this._migrateLocalSaves(preferred)).then(() => preferred) :
+            Promise.reject(new Error('IndexedDB is not available'));
+        
+        this.ready = open
+            .catch(error => {
+                console.warn("Falling back to localStorage for saves:", error.message || error);
+                return fallback.open().then(() => fallback);
+            })
+            .then(backend => {
+                this.backend = backend;
+                return backend;
+            })
+            .catch(error => {
+                this.ready = null;
+                console.error("Error opening storage:", error);
+                throw new Error('Saved creations are unavailable because the browser is blocking storage for this page.');
+            });
+        
+        return this.ready;
+    },
+    
+    /**
+     * Move saves from the localStorage key into another backend, then clear the key.
+     * Saves with a name already in the backend are left alone.
+     * @param {Object} backend - Backend to move saves into
+     * @returns {Promise} Resolves once moved
+     * @private
+     */
+    _migrateLocalSaves: function(backend) {
+        const key = StorageBackends.localStorage.KEY;
+        let saves;
+        
+        try {
+            saves = Object.values(JSON.parse(localStorage.getItem(key)) || {});
+        } catch (error) {
+            console.error("Error reading old saves:", error);
+            return Promise.resolve();
         }
+        
+        if (saves.length === 0) return Promise.resolve();
+        
+        return backend.list().then(existing => {
+            const names = new Set(existing.map(summary => summary.name));
+            const moves = saves.filter(save => !names.has(save.name)).map(save => backend.put(save));
+            
+            return Promise.all(moves);
+        }).then(() => {
+            localStorage.removeItem(key);
+        });
     },
     
     /**
-     * Save current game state
+     * Most saves the current backend keeps
+     * @returns {number} Save limit
+     */
+    getMaxSaves: function() {
+        return this.backend ? this.backend.maxSaves : StorageBackends.localStorage.maxSaves;
+    },
+    
+    /**
+     * Save current game state.
+     * When the save limit is reached, a new save only goes through if it may evict the
+     * oldest one (see getEvictionCandidate); saves are never deleted silently.
      * @param {Object} gameState - Current game state to save
      * @param {string} name - Name of the save
-     * @returns {boolean} Success status
+     * @param {Object} [options] - { thumbnail: image data URL, evict: allow deleting the oldest save }
+     * @returns {Promise<boolean>} Success status
      */
-    saveGame: function(gameState, name) {
+    saveGame: async function(gameState, name, options = {}) {
         try {
-            const saves = this.getAllSaves();
+            const backend = await this.init();
             
             // Use timestamp if no name provided
             const saveName = name || `Creation ${new Date().toLocaleString()}`;
             
-            // Create save object
+            const evicted = await this.getEvictionCandidate(saveName);
+            if (evicted && !options.evict) {
+                console.error(`Save limit reached; saving "${saveName}" would delete "${evicted}"`);
+                return false;
+            }
+            
+            // Create save object, carrying along any custom elements it uses and the user's rules
+            const elements = this._getUsedCustomElements(gameState);
+            const rules = Interactions.getCustomRules();
             const saveObj = {
                 name: saveName,
                 date: new Date().toISOString(),
-                state: gameState
+                count: gameState.particles.length,
+                state: Codec.encode({ version: this.SAVE_VERSION, ...gameState }),
+                ...(options.thumbnail && { thumbnail: options.thumbnail }),
+                ...(elements.length > 0 && { elements }),
+                ...(rules.length > 0 && { rules })
             };
             
-            // Add to saves
-            saves[saveName] = saveObj;
-            
-            // Limit number of saves
-            const saveNames = Object.keys(saves);
-            if (saveNames.length > this.MAX_SAVES) {
-                // Remove oldest save
-                const oldest = saveNames.sort((a, b) => 
-                    new Date(saves[a].date) - new Date(saves[b].date)
-                )[0];
-                delete saves[oldest];
-            }
+            // Make room first if the caller agreed to, so a full localStorage can take the new save
+            if (evicted) await backend.remove(evicted);
+            await backend.put(saveObj);
             
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saves));
             return true;
         } catch (error) {
             console.error("Error saving game:", error);
@@ -68,13 +203,18 @@ const Storage = {
     /**
      * Load a game state by name
      * @param {string} name - Name of the save to load
-     * @returns {Object|null} Game state or null if not found
+     * @returns {Promise<Object|null>} Game state or null if not found
      */
-    loadGame: function(name) {
+    loadGame: async function(name) {
         try {
-            const saves = this.getAllSaves();
-            if (saves[name]) {
-                return saves[name].state;
+            const backend = await this.init();
+            const save = await backend.get(name);
+            
+            if (save) {
+                // Make sure the custom elements it uses exist before its particles do
+                this.registerCustomElements(save.elements || []);
+                this.registerCustomRules(save.rules || []);
+                return this.upgradeState(this._readState(save.state));
             }
             return null;
         } catch (error) {
@@ -84,52 +224,306 @@ const Storage = {
     },
     
     /**
-     * Get all saved games
-     * @returns {Object} Map of saved games
+     * Find the save that would have to go to make room for a new one
+     * @param {string} name - Name the new save would have
+     * @returns {Promise<string|null>} Name of the oldest save, or null if there is room (or the name is taken)
+     */
+    getEvictionCandidate: async function(name) {
+        const backend = await this.init();
+        const summaries = await backend.list();
+        
+        if (summaries.length < backend.maxSaves || summaries.some(summary => summary.name === name)) {
+            return null;
+        }
+        
+        return summaries.sort((a, b) => new Date(a.date) - new Date(b.date))[0].name;
+    },
+    
+    /**
+     * List saves for browsing, newest first
+     * @param {string} [query] - Only include saves whose name contains this (any case)
+     * @returns {Promise<Array>} Summaries: { name, date, count, thumbnail }
+     */
+    getSaveList: async function(query = '') {
+        const backend = await this.init();
+        const needle = query.trim().toLowerCase();
+        
+        return (await backend.list())
+            .filter(summary => summary.name.toLowerCase().includes(needle))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    },
+    
+    /**
+     * Rename a saved game
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<boolean>} Success status; fails if the new name is empty or taken
+     */
+    renameSave: async function(name, newName) {
+        try {
+            const backend = await this.init();
+            newName = newName.trim();
+            
+            const save = await backend.get(name);
+            if (!save || !newName || await backend.get(newName)) return false;
+            
+            await backend.put({ ...save, name: newName });
+            await backend.remove(name);
+            return true;
+        } catch (error) {
+            console.error("Error renaming save:", error);
+            return false;
+        }
+    },
+    
+    /**
+     * Copy a saved game under a new name, like "Name (copy)" or "Name (copy 2)"
+     * @param {string} name - Name of the save to copy
+     * @returns {Promise<string|null>} Name of the copy, or null if it failed or there is no room
      */
-    getAllSaves: function() {
+    duplicateSave: async function(name) {
         try {
-            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+            const backend = await this.init();
+            const save = await backend.get(name);
+            const names = new Set((await backend.list()).map(summary => summary.name));
+            
+            if (!save || names.size >= backend.maxSaves) return null;
+            
+            let copyName = `${name} (copy)`;
+            for (let n = 2; names.has(copyName); n++) {
+                copyName = `${name} (copy ${n})`;
+            }
+            
+            await backend.put({ ...save, name: copyName, date: new Date().toISOString() });
+            return copyName;
         } catch (error) {
-            console.error("Error getting saves:", error);
-            return {};
+            console.error("Error duplicating save:", error);
+            return null;
         }
     },
     
     /**
      * Delete a saved game
      * @param {string} name - Name of the save to delete
+     * @returns {Promise<boolean>} Success status
+     */
+    deleteSave: async function(name) {
+        try {
+            const backend = await this.init();
+            if (!await backend.get(name)) return false;
+            
+            await backend.remove(name);
+            return true;
+        } catch (error) {
+            console.error("Error deleting save:", error);
+            return false;
+        }
+    },
+    
+    /**
+     * Report how much space saves can use
+     * @returns {Promise<Object>} { backend: label, used, available } with sizes in bytes (null if unknown)
+     */
+    getUsage: async function() {
+        const backend = await this.init();
+        
+        try {
+            return { backend: backend.label, ...await backend.estimate() };
+        } catch (error) {
+            console.error("Error estimating storage:", error);
+            return { backend: backend.label, used: null, available: null };
+        }
+    },
+    
+    /**
+     * Save the user's custom element library
+     * @param {Array} definitions - Custom element definitions
      * @returns {boolean} Success status
      */
-    deleteSave: function(name) {
+    saveCustomElements: function(definitions) {
+        try {
+            localStorage.setItem(this.ELEMENTS_KEY, JSON.stringify(definitions));
+            return true;
+        } catch (error) {
+            console.error("Error saving custom elements:", error);
+            return false;
+        }
+    },
+    
+    /**
+     * Load the user's custom element library
+     * @returns {Array} Custom element definitions
+     */
+    loadCustomElements: function() {
         try {
-            const saves = this.getAllSaves();
-            if (saves[name]) {
-                delete saves[name];
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saves));
-                return true;
+            return JSON.parse(localStorage.getItem(this.ELEMENTS_KEY)) || [];
+        } catch (error) {
+            console.error("Error loading custom elements:", error);
+            return [];
+        }
+    },
+    
+    /**
+     * Register custom element definitions, skipping any that are invalid
+     * @param {Array} definitions - Custom element definitions
+     * @returns {number} Number of elements registered
+     */
+    registerCustomElements: function(definitions) {
+        let count = 0;
+        
+        // Emitters can refer to other custom elements, so register those first
+        const ordered = [...definitions].sort((a, b) => (a.emitType ? 1 : 0) - (b.emitType ? 1 : 0));
+        
+        for (const definition of ordered) {
+            try {
+                Particles.registerElement(definition);
+                count++;
+            } catch (error) {
+                console.error(`Error registering custom element ${definition.id}:`, error);
             }
+        }
+        
+        return count;
+    },
+    
+    /**
+     * Save the user's reaction rules
+     * @param {Array} rules - Custom reaction rules
+     * @returns {boolean} Success status
+     */
+    saveCustomRules: function(rules) {
+        try {
+            localStorage.setItem(this.RULES_KEY, JSON.stringify(rules));
+            return true;
+        } catch (error) {
+            console.error("Error saving reaction rules:", error);
             return false;
+        }
+    },
+    
+    /**
+     * Load the user's reaction rules
+     * @returns {Array} Custom reaction rules
+     */
+    loadCustomRules: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.RULES_KEY)) || [];
         } catch (error) {
-            console.error("Error deleting save:", error);
+            console.error("Error loading reaction rules:", error);
+            return [];
+        }
+    },
+    
+    /**
+     * Add custom reaction rules, replacing ones with the same id and skipping invalid ones
+     * @param {Array} rules - Custom reaction rules
+     * @returns {number} Number of rules added
+     */
+    registerCustomRules: function(rules) {
+        let count = 0;
+        
+        for (const rule of rules) {
+            try {
+                Interactions.addRule(rule);
+                count++;
+            } catch (error) {
+                console.error(`Error adding reaction rule ${rule.id}:`, error);
+            }
+        }
+        
+        return count;
+    },
+    
+    /**
+     * Save the element packs the user has loaded
+     * @param {Array} packs - Element packs
+     * @returns {boolean} Success status
+     */
+    savePacks: function(packs) {
+        try {
+            localStorage.setItem(this.PACKS_KEY, JSON.stringify(packs));
+            return true;
+        } catch (error) {
+            console.error("Error saving element packs:", error);
             return false;
         }
     },
     
+    /**
+     * Load the element packs the user has loaded before
+     * @returns {Array} Element packs
+     */
+    loadPacks: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.PACKS_KEY)) || [];
+        } catch (error) {
+            console.error("Error loading element packs:", error);
+            return [];
+        }
+    },
+    
+    /**
+     * Load element packs, skipping ones that fail
+     * @param {Array} packs - Element packs
+     * @returns {number} Number of packs loaded
+     */
+    registerPacks: function(packs) {
+        let count = 0;
+        
+        for (const pack of packs) {
+            try {
+                const report = Packs.load(pack);
+                report.conflicts.forEach(conflict => console.warn(`Pack "${pack.name}": ${conflict}`));
+                count++;
+            } catch (error) {
+                console.error(`Error loading element pack ${pack && pack.name}:`, error);
+            }
+        }
+        
+        return count;
+    },
+    
+    /**
+     * Find the custom elements a game state needs, including ones its emitters create
+     * @param {Object} gameState - Game state with a particles list
+     * @returns {Array} Custom element definitions
+     * @private
+     */
+    _getUsedCustomElements: function(gameState) {
+        const used = new Set((gameState.particles || []).map(p => p.type));
+        const definitions = Particles.customDefinitions;
+        const result = [];
+        const queue = [...used].filter(type => definitions[type]);
+        const seen = new Set(queue);
+        
+        while (queue.length > 0) {
+            const definition = definitions[queue.shift()];
+            result.push({ ...definition });
+            
+            if (definitions[definition.emitType] && !seen.has(definition.emitType)) {
+                seen.add(definition.emitType);
+                queue.push(definition.emitType);
+            }
+        }
+        
+        return result;
+    },
+    
     /**
      * Export game state as JSON string
      * @param {Object} gameState - Game state to export
-     * @returns {string} JSON string of compressed game state
+     * @returns {string} JSON string holding the binary-encoded game state
      */
     exportGame: function(gameState) {
         try {
-            // Use more efficient encoding for grid data
+            // Custom elements and rules travel with the export so it works anywhere
+            const elements = this._getUsedCustomElements(gameState);
+            const rules = Interactions.getCustomRules();
             const exported = {
-                width: gameState.width,
-                height: gameState.height,
-                // Convert grid to run-length encoding for efficiency
-                grid: this._encodeGrid(gameState.grid),
-                version: gameState.version || '1.0'
+                version: this.SAVE_VERSION,
+                data: Codec.encode({ version: this.SAVE_VERSION, ...gameState }),
+                ...(elements.length > 0 && { elements }),
+                ...(rules.length > 0 && { rules })
             };
             
             return JSON.stringify(exported);
@@ -146,21 +540,186 @@ const Storage = {
      */
     importGame: function(jsonString) {
         try {
-            const imported = JSON.parse(jsonString);
+            return this.readExport(jsonString);
+        } catch (error) {
+            console.error("Error importing game:", error);
+            return null;
+        }
+    },
+    
+    /**
+     * Read and check an export, explaining any problem in words a player can act on
+     * @param {string} jsonString - Text from exportGame, e.g. the contents of an exported file
+     * @param {Object} [grid] - { width, height } the state must match
+     * @returns {Object} Game state in the current format
+     * @throws {Error} Describing why the export can't be used
+     */
+    readExport: function(jsonString, grid) {
+        let imported;
+        try {
+            imported = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error("This is not an OpenPowderGame creation (it isn't valid JSON).");
+        }
+        
+        if (!imported || typeof imported !== 'object') {
+            throw new Error("This is not an OpenPowderGame creation.");
+        }
+        
+        let state;
+        try {
+            state = imported.data ? this._readState(imported.data) : imported;
+        } catch (error) {
+            throw new Error(`The scene data is damaged (${error.message}).`);
+        }
+        
+        // Validate basic structure
+        if (!state.width || !state.height || !(state.grid || state.particles)) {
+            throw new Error("This is not an OpenPowderGame creation (it has no scene in it).");
+        }
+        
+        if (grid && (state.width !== grid.width || state.height !== grid.height)) {
+            throw new Error(`This scene is ${state.width}×${state.height} cells, ` +
+                `but the grid here is ${grid.width}×${grid.height}.`);
+        }
+        
+        const elements = imported.elements || [];
+        const rules = imported.rules || [];
+        
+        // Try the whole import against scratch registries first, so a rejected one changes nothing
+        const upgraded = this._withScratchRegistries(() => {
+            this.registerCustomElements(elements);
+            this.registerCustomRules(rules);
             
-            // Validate basic structure
-            if (!imported.width || !imported.height || !imported.grid) {
-                throw new Error("Invalid game data structure");
+            let upgraded;
+            try {
+                upgraded = this.upgradeState(state);
+            } catch (error) {
+                throw new Error(`This creation needs a newer version of OpenPowderGame (${error.message}).`);
             }
             
-            // Convert from run-length encoding back to grid
-            imported.grid = this._decodeGrid(imported.grid, imported.width, imported.height);
+            // Types from element packs or custom elements that didn't come along
+            const unknown = [...new Set(upgraded.particles.map(p => p.type))].filter(type => !Object.hasOwn(Particles.ELEMENTS, type));
+            if (unknown.length > 0) {
+                throw new Error(`This creation uses unknown element types: ${unknown.join(', ')}. ` +
+                    'They may come from an element pack that isn\'t loaded.');
+            }
             
-            return imported;
+            return upgraded;
+        });
+        
+        this.registerCustomElements(elements);
+        this.registerCustomRules(rules);
+        
+        return upgraded;
+    },
+    
+    /**
+     * Run work against copies of the element and rule registries, restoring the real ones afterwards
+     * @param {Function} work - Registers elements and rules and checks the result
+     * @returns {*} Whatever work returns
+     * @private
+     */
+    _withScratchRegistries: function(work) {
+        const saved = {
+            elements: Particles.ELEMENTS,
+            definitions: Particles.customDefinitions,
+            rules: Interactions.customRules,
+            reactions: Interactions.compiledReactions
+        };
+        
+        Particles.ELEMENTS = { ...saved.elements };
+        Particles.customDefinitions = { ...saved.definitions };
+        Interactions.customRules = [...saved.rules];
+        Interactions.compiledReactions = { ...saved.reactions };
+        
+        try {
+            return work();
+        } finally {
+            Particles.ELEMENTS = saved.elements;
+            Particles.customDefinitions = saved.definitions;
+            Interactions.customRules = saved.rules;
+            Interactions.compiledReactions = saved.reactions;
+        }
+    },
+    
+    /**
+     * Build the URL hash that shares a game state
+     * @param {Object} gameState - Game state to share
+     * @returns {string} Hash, starting with SHARE_PREFIX
+     * @throws {Error} If the scene is too large for a link
+     */
+    createShareHash: function(gameState) {
+        const exported = this.exportGame(gameState);
+        if (!exported) throw new Error('Could not encode the scene');
+        
+        const hash = this.SHARE_PREFIX + encodeURIComponent(exported);
+        if (hash.length > this.MAX_SHARE_LENGTH) {
+            const percent = Math.ceil(hash.length / this.MAX_SHARE_LENGTH * 100);
+            throw new Error(`This scene is too large to share as a link (${percent}% of the limit). ` +
+                'Try clearing some particles, or save it instead.');
+        }
+        
+        return hash;
+    },
+    
+    /**
+     * Read a game state from a share link's URL hash
+     * @param {string} hash - URL hash, e.g. location.hash
+     * @param {Object} grid - { width, height } the scene must match
+     * @returns {Object|null} Game state, or null if the hash holds no scene
+     * @throws {Error} If the hash holds a scene that cannot be loaded
+     */
+    readShareHash: function(hash, grid) {
+        if (!hash || !hash.startsWith(this.SHARE_PREFIX)) return null;
+        
+        if (hash.length > this.MAX_SHARE_LENGTH) {
+            throw new Error('This shared scene is too large to load.');
+        }
+        
+        let exported;
+        try {
+            exported = decodeURIComponent(hash.slice(this.SHARE_PREFIX.length));
         } catch (error) {
-            console.error("Error importing game:", error);
-            return null;
+            throw new Error('This share link is damaged. It may have been cut off when it was sent.');
         }
+        
+        try {
+            return this.readExport(exported, grid);
+        } catch (error) {
+            throw new Error(`This share link could not be opened. ${error.message}`);
+        }
+    },
+    
+    /**
+     * Get a stored state as an object
+     * @param {string|Object} state - Binary-encoded text, or a state object from before encoding
+     * @returns {Object} Game state
+     * @private
+     */
+    _readState: function(state) {
+        return typeof state === 'string' ? Codec.decode(state) : state;
+    },
+    
+    /**
+     * Bring a saved state up to the current save format
+     * @param {Object} state - Saved state; ones without a version are 1.0
+     * @returns {Object} State in the current format
+     * @throws {Error} If the state comes from an unknown (newer) version
+     */
+    upgradeState: function(state) {
+        let upgraded = { version: '1.0', ...state };
+        
+        while (upgraded.version !== this.SAVE_VERSION) {
+            const migrate = this.MIGRATIONS[upgraded.version];
+            if (!migrate) {
+                throw new Error(`Unsupported save version ${upgraded.version}`);
+            }
+            
+            upgraded = migrate.call(this, upgraded);
+        }
+        
+        return upgraded;
     },
     
     /**
@@ -221,8 +780,8 @@ const Storage = {
                 
                 if (y < height && x < width) {
                     if (type) {
-                        // Create basic particle with just the type
-                        grid[y][x] = { type };
+                        // Only the type was kept, so start from a fresh particle
+                        grid[y][x] = Particles.createParticle(type, x, y);
                     } else {
                         grid[y][x] = null;
                     }
@@ -30,9 +30,15 @@ class UI {
         // Simulation state
         this.isPlaying = true;
         
+        // Recording in progress, from Capture.record
+        this._recording = null;
+        
         // UI elements
         this.toolButtons = document.querySelectorAll('.tool-btn');
-        this.elementButtons = document.querySelectorAll('.element-btn');
+        this.elementButtons = [];
+        this.elementGroups = document.getElementById('element-groups');
+        this.customElementList = document.getElementById('custom-element-list');
+        this.newElementButton = document.getElementById('new-element-btn');
         this.brushSizeInput = document.getElementById('brush-size');
         this.brushSizeValue = document.getElementById('size-value');
         this.playPauseButton = document.getElementById('play-pause-btn');
@@ -42,10 +48,18 @@ class UI {
         this.redoButton = document.getElementById('redo-btn');
         this.saveButton = document.getElementById('save-btn');
         this.loadButton = document.getElementById('load-btn');
+        this.shareButton = document.getElementById('share-btn');
+        this.exportButton = document.getElementById('export-btn');
+        this.importButton = document.getElementById('import-btn');
+        this.importFileInput = document.getElementById('import-file');
+        this.captureButton = document.getElementById('capture-btn');
+        this.rulesButton = document.getElementById('rules-btn');
+        this.packsButton = document.getElementById('packs-btn');
         this.settingsButton = document.getElementById('settings-btn');
         this.settingsDropdown = document.getElementById('settings-dropdown');
         this.simulationSpeedInput = document.getElementById('simulation-speed');
         this.gravityDirectionSelect = document.getElementById('gravity-direction');
+        this.showTemperatureInput = document.getElementById('show-temperature');
         this.modal = document.getElementById('modal');
         this.modalTitle = document.getElementById('modal-title');
         this.modalBody = document.getElementById('modal-body');
@@ -59,8 +73,15 @@ class UI {
         // Initialize event listeners
         this.initEventListeners();
         
-        // Initialize Storage
-        Storage.init();
+        // Initialize Storage; if the browser blocks it, the save and load dialogs explain why
+        Storage.init().catch(() => {});
+        
+        // Bring back the user's element packs, custom elements and reaction rules.
+        // Packs come first since custom elements and rules may use their elements.
+        Storage.registerPacks(Storage.loadPacks());
+        Storage.registerCustomElements(Storage.loadCustomElements());
+        Storage.registerCustomRules(Storage.loadCustomRules());
+        this.refreshElementPanel();
     }
     
     /**
@@ -85,12 +106,8 @@ class UI {
             });
         });
         
-        // Element selection
-        this.elementButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                this.setElement(button.dataset.element);
-            });
-        });
+        // Custom element creator
+        this.newElementButton.addEventListener('click', () => this.openElementDialog());
         
         // Brush size control
         this.brushSizeInput.addEventListener('input', () => {
@@ -107,12 +124,41 @@ class UI {
         // Save/Load
         this.saveButton.addEventListener('click', this.openSaveDialog.bind(this));
         this.loadButton.addEventListener('click', this.openLoadDialog.bind(this));
+        this.shareButton.addEventListener('click', this.openShareDialog.bind(this));
+        
+        // Export/Import files, including files dropped on the canvas
+        this.exportButton.addEventListener('click', this.exportToFile.bind(this));
+        this.importButton.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            this.importFileInput.value = ''; // Picking the same file again should import it again
+            if (file) this.importFromFile(file);
+        });
+        this.canvas.addEventListener('dragover', this.handleDragOver.bind(this));
+        this.canvas.addEventListener('dragleave', () => this.canvas.classList.remove('drop-target'));
+        this.canvas.addEventListener('drop', this.handleDrop.bind(this));
+        
+        // Screenshots and recordings; while recording, the same button stops it
+        this.captureButton.addEventListener('click', () => {
+            if (this._recording) {
+                this._recording.stop();
+            } else {
+                this.openCaptureDialog();
+            }
+        });
+        
+        // Reaction rules editor
+        this.rulesButton.addEventListener('click', this.openRulesDialog.bind(this));
+        
+        // Element packs
+        this.packsButton.addEventListener('click', this.openPacksDialog.bind(this));
         
         // Settings
         this.settingsButton.addEventListener('click', this.toggleSettings.bind(this));
         document.addEventListener('click', this.handleOutsideClick.bind(this));
         this.simulationSpeedInput.addEventListener('input', this.updateSimulationSpeed.bind(this));
         this.gravityDirectionSelect.addEventListener('change', this.updateGravityDirection.bind(this));
+        this.showTemperatureInput.addEventListener('change', this.updateTemperatureView.bind(this));
         
         // Modal
         document.querySelector('.close-btn').addEventListener('click', this.closeModal.bind(this));
@@ -131,6 +177,13 @@ class UI {
         e.preventDefault();
         
         const [x, y] = this.renderer.clientToGrid(e.clientX, e.clientY);
+        
+        // Clicking a switch with the brush flips it instead of drawing
+        if (this.currentTool === 'brush' && this.engine.toggleSwitch(x, y)) {
+            this.renderer.forceFullRedraw();
+            return;
+        }
+        
         this.isDrawing = true;
         this.startX = x;
         this.startY = y;
@@ -166,9 +219,10 @@ class UI {
                 // For continuous brush drawing, draw a line between last position and current
                 if (x !== this.lastX || y !== this.lastY) {
                     const points = Utils.getLine(this.lastX, this.lastY, x, y);
+                    const props = this.getDrawProps(x - this.lastX, y - this.lastY);
                     
                     for (const [px, py] of points) {
-                        this.engine.drawBrush(this.currentElement, px, py, this.brushSize);
+                        this.engine.drawBrush(this.currentElement, px, py, this.brushSize, props);
                     }
                     
                     this.renderer.forceFullRedraw();
@@ -184,6 +238,15 @@ class UI {
                     
                     this.renderer.forceFullRedraw();
                 }
+            } else if (this.currentTool === 'wind') {
+                // Blow air in the direction of the drag
+                if (x !== this.lastX || y !== this.lastY) {
+                    this.engine.blowWind(
+                        x, y, this.brushSize,
+                        (x - this.lastX) * 0.5,
+                        (y - this.lastY) * 0.5
+                    );
+                }
             } else if (['line', 'rectangle', 'ellipse'].includes(this.currentTool)) {
                 // For shape tools, draw a preview
                 this.renderer.render();
@@ -211,13 +274,19 @@ class UI {
         
         // Complete the drawing action based on the tool
         if (this.currentTool === 'line') {
-            this.engine.drawLine(this.currentElement, this.startX, this.startY, x, y);
+            this.engine.drawLine(
+                this.currentElement, 
+                this.startX, this.startY, 
+                x, y, 
+                this.getDrawProps(x - this.startX, y - this.startY)
+            );
         } else if (this.currentTool === 'rectangle') {
             this.engine.drawRectangle(
                 this.currentElement, 
                 this.startX, this.startY, 
                 x, y, 
-                this.shapeFilled
+                this.shapeFilled,
+                this.getDrawProps(x - this.startX, y - this.startY)
             );
         } else if (this.currentTool === 'ellipse') {
             const centerX = Math.floor((this.startX + x) / 2);
@@ -229,7 +298,8 @@ class UI {
                 this.currentElement,
                 centerX, centerY,
                 radiusX, radiusY,
-                this.shapeFilled
+                this.shapeFilled,
+                this.getDrawProps(x - this.startX, y - this.startY)
             );
         }
         
@@ -363,6 +433,10 @@ class UI {
                 this.setTool('eraser');
                 break;
                 
+            case 'w':  // W key for wind
+                this.setTool('wind');
+                break;
+                
             case 'f':  // F key for filled/outline toggle
                 this.toggleFilled();
                 break;
@@ -412,6 +486,77 @@ class UI {
         });
     }
     
+    /**
+     * Rebuild the element panel from the element registry
+     */
+    refreshElementPanel() {
+        const categories = Particles.getCategorizedElements();
+        this.elementGroups.innerHTML = '';
+        
+        for (const [category, types] of Object.entries(categories)) {
+            if (category === 'custom' || types.length === 0) continue;
+            
+            const group = document.createElement('div');
+            group.className = 'element-group';
+            
+            const heading = document.createElement('h4');
+            heading.textContent = Particles.CATEGORIES[category].label;
+            group.appendChild(heading);
+            
+            for (const type of types) {
+                const button = document.createElement('button');
+                button.className = 'element-btn';
+                button.dataset.element = type;
+                button.textContent = Particles.getLabel(type);
+                
+                button.addEventListener('click', () => this.setElement(type));
+                group.appendChild(button);
+            }
+            
+            this.elementGroups.appendChild(group);
+        }
+        
+        // Custom elements live in their own group next to the creator button
+        this.customElementList.innerHTML = '';
+        
+        for (const definition of Particles.getCustomDefinitions()) {
+            const button = document.createElement('button');
+            button.className = 'element-btn';
+            button.dataset.element = definition.id;
+            button.textContent = definition.name;
+            button.title = 'Double-click to edit';
+            button.style.borderLeft = `4px solid ${definition.color}`;
+            
+            button.addEventListener('click', () => this.setElement(definition.id));
+            button.addEventListener('dblclick', () => this.openElementDialog(definition.id));
+            
+            this.customElementList.appendChild(button);
+        }
+        
+        this.elementButtons = document.querySelectorAll('.element-btn');
+        
+        // The selected element may have been deleted
+        this.setElement(Particles.ELEMENTS[this.currentElement] ? this.currentElement : 'sand');
+    }
+    
+    /**
+     * Get extra properties for particles of the current element.
+     * Directional elements (like fans) face the way the pointer was dragged.
+     * @param {number} dx - Drag distance along X
+     * @param {number} dy - Drag distance along Y
+     * @returns {Object|undefined} Properties for new particles, if any
+     */
+    getDrawProps(dx, dy) {
+        const elementType = Particles.ELEMENTS[this.currentElement];
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (!elementType || !elementType.directional || length === 0) {
+            return undefined;
+        }
+        
+        return { dir: [Math.round(dx / length), Math.round(dy / length)] };
+    }
+    
     /**
      * Set the brush size
      * @param {number} size - Brush size
@@ -549,6 +694,21 @@ class UI {
         this.engine.setGravity(direction);
     }
     
+    /**
+     * Update the settings controls to match the engine, e.g. after loading a creation
+     */
+    syncSettings() {
+        this.simulationSpeedInput.value = this.engine.speed;
+        this.gravityDirectionSelect.value = this.engine.gravity;
+    }
+    
+    /**
+     * Toggle the temperature visualization
+     */
+    updateTemperatureView() {
+        this.renderer.setShowTemperature(this.showTemperatureInput.checked);
+    }
+    
     /**
      * Open save dialog
      */
@@ -557,12 +717,38 @@ class UI {
         
         let content = '<label for="save-name">Creation Name:</label>';
         content += '<input type="text" id="save-name" value="Creation ' + new Date().toLocaleString() + '">';
+        content += '<div id="save-warning"></div>';
         content += '<div id="save-result"></div>';
         
         this.modalBody.innerHTML = content;
         this.modalConfirmButton.textContent = 'Save';
         this._currentModalAction = 'save';
         
+        // Warn up front when saving would push out the oldest creation
+        const nameInput = document.getElementById('save-name');
+        const updateWarning = async () => {
+            let text;
+            let color = '';
+            
+            try {
+                const evicted = await Storage.getEvictionCandidate(nameInput.value.trim());
+                text = evicted ?
+                    `You have ${Storage.getMaxSaves()} saved creations, the most allowed. ` +
+                    `Saving a new one will delete the oldest, "${evicted}".` : '';
+            } catch (error) {
+                text = error.message;
+                color = 'red';
+            }
+            
+            const warning = document.getElementById('save-warning');
+            if (!warning) return; // The dialog moved on while we were checking
+            
+            warning.textContent = text;
+            warning.style.color = color;
+        };
+        nameInput.addEventListener('input', updateWarning);
+        updateWarning();
+        
         this.showModal();
     }
     
@@ -571,34 +757,991 @@ class UI {
      */
     openLoadDialog() {
         this.modalTitle.textContent = 'Load Creation';
+        this._selectedSave = null;
+        
+        let content = '<input type="search" id="save-search" placeholder="Search creations">';
+        content += '<div class="save-gallery" id="save-gallery"></div>';
+        content += '<div id="load-result"></div>';
+        content += '<div id="storage-usage"></div>';
+        
+        this.modalBody.innerHTML = content;
+        this.modalConfirmButton.textContent = 'Load';
+        this._currentModalAction = 'load';
+        
+        const gallery = document.getElementById('save-gallery');
+        const search = document.getElementById('save-search');
+        search.addEventListener('input', () => this.renderSaveGallery());
+        
+        gallery.addEventListener('click', (e) => {
+            const card = e.target.closest('.save-card');
+            if (!card) return;
+            
+            const action = e.target.dataset.action;
+            if (action) {
+                this.handleSaveAction(action, card.dataset.save);
+            } else {
+                this._selectedSave = card.dataset.save;
+                this.renderSaveGallery();
+            }
+        });
+        
+        gallery.addEventListener('dblclick', (e) => {
+            const card = e.target.closest('.save-card');
+            if (card && !e.target.dataset.action) this.loadSave(card.dataset.save);
+        });
+        
+        this.renderSaveGallery();
+        this.renderStorageUsage();
+        this.showModal();
+    }
+    
+    /**
+     * Show how much storage space saves use in the load dialog
+     */
+    async renderStorageUsage() {
+        let text;
+        
+        try {
+            const usage = await Storage.getUsage();
+            const saves = await Storage.getSaveList();
+            text = `${saves.length} of ${Storage.getMaxSaves()} creations`;
+            
+            if (usage.used !== null) {
+                text += `, ${Utils.formatBytes(usage.used)}`;
+                if (usage.available) text += ` of ${Utils.formatBytes(usage.available)}`;
+                text += ' used';
+            }
+            
+            text += ` (${usage.backend})`;
+        } catch (error) {
+            text = error.message;
+        }
+        
+        // The dialog may have closed while we were reading
+        const usageDiv = document.getElementById('storage-usage');
+        if (usageDiv) usageDiv.textContent = text;
+    }
+    
+    /**
+     * Fill the load dialog's gallery with the saves matching the search box
+     */
+    async renderSaveGallery() {
+        const query = document.getElementById('save-search').value;
+        let saves;
+        let error = null;
+        
+        try {
+            saves = await Storage.getSaveList(query);
+        } catch (storageError) {
+            error = storageError;
+        }
+        
+        // The dialog may have closed or moved on while we were reading
+        const gallery = document.getElementById('save-gallery');
+        if (!gallery) return;
+        
+        if (error) {
+            gallery.innerHTML = `<p>${Utils.escapeHtml(error.message)}</p>`;
+        } else if (saves.length === 0) {
+            gallery.innerHTML = query ? '<p>No creations match your search.</p>' : '<p>No saved creations found.</p>';
+        } else {
+            gallery.innerHTML = saves.map(save => {
+                const name = Utils.escapeHtml(save.name);
+                const selected = save.name === this._selectedSave ? ' selected' : '';
+                // Saves can come from old versions and other sources, so only picture data is shown
+                const preview = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/.test(save.thumbnail) ?
+                    `<img src="${save.thumbnail}" alt="">` :
+                    '<div class="save-thumbnail-empty">No preview</div>';
+                
+                return `<div class="save-card${selected}" data-save="${name}" title="Double-click to load">` +
+                    preview +
+                    `<div class="save-name">${name}</div>` +
+                    `<div class="save-meta">${save.count} particles<br>${new Date(save.date).toLocaleString()}</div>` +
+                    '<div class="save-actions">' +
+                    '<button data-action="rename">Rename</button>' +
+                    '<button data-action="duplicate">Copy</button>' +
+                    '<button data-action="delete">Delete</button>' +
+                    '</div></div>';
+            }).join('');
+        }
+        
+        this.modalConfirmButton.disabled = !this._selectedSave;
+    }
+    
+    /**
+     * Rename, duplicate or delete a save from the gallery
+     * @param {string} action - 'rename', 'duplicate' or 'delete'
+     * @param {string} name - Name of the save
+     */
+    async handleSaveAction(action, name) {
+        const resultDiv = document.getElementById('load-result');
+        resultDiv.textContent = '';
+        
+        if (action === 'rename') {
+            const newName = prompt('New name:', name);
+            if (newName === null || newName.trim() === name) return;
+            
+            if (!await Storage.renameSave(name, newName)) {
+                resultDiv.textContent = `Could not rename: "${newName.trim()}" is empty or already taken.`;
+                resultDiv.style.color = 'red';
+                return;
+            }
+            
+            if (this._selectedSave === name) this._selectedSave = newName.trim();
+        } else if (action === 'duplicate') {
+            const copyName = await Storage.duplicateSave(name);
+            
+            if (!copyName) {
+                resultDiv.textContent = `You have ${Storage.getMaxSaves()} saved creations, the most allowed. Delete one to make a copy.`;
+                resultDiv.style.color = 'red';
+                return;
+            }
+            
+            this._selectedSave = copyName;
+        } else if (action === 'delete') {
+            if (!confirm(`Delete "${name}"? This cannot be undone.`)) return;
+            
+            await Storage.deleteSave(name);
+            if (this._selectedSave === name) this._selectedSave = null;
+        }
+        
+        this.renderSaveGallery();
+        this.renderStorageUsage();
+    }
+    
+    /**
+     * Load a saved creation into the simulation
+     * @param {string} name - Name of the save
+     */
+    async loadSave(name) {
+        const resultDiv = document.getElementById('load-result');
+        
+        // Load the saved state
+        this.modalConfirmButton.disabled = true;
+        const gameState = await Storage.loadGame(name);
+        this.modalConfirmButton.disabled = false;
+        
+        if (gameState) {
+            this.engine.importState(gameState);
+            this.syncSettings();
+            this.renderer.forceFullRedraw();
+            this.updateUndoRedoButtons();
+            
+            // Keep any custom elements and rules that came with the creation
+            Storage.saveCustomElements(Particles.getCustomDefinitions());
+            Storage.saveCustomRules(Interactions.getCustomRules());
+            this.refreshElementPanel();
+            
+            resultDiv.textContent = 'Creation loaded successfully!';
+            resultDiv.style.color = 'green';
+            setTimeout(this.closeModal.bind(this), 1500);
+        } else {
+            resultDiv.textContent = 'Error loading creation.';
+            resultDiv.style.color = 'red';
+        }
+    }
+    
+    /**
+     * Open the custom element creator, either blank or editing an existing element.
+     * Changes to an existing element apply live to particles already on the canvas.
+     * @param {string} [id] - Id of the custom element to edit
+     */
+    openElementDialog(id) {
+        const existing = id && Particles.customDefinitions[id];
+        const definition = existing || {
+            name: '',
+            color: '#c0c0c0',
+            colorVariation: 0.1,
+            state: 'powder',
+            density: 1,
+            flammability: 0,
+            lifespan: 0,
+            emitType: ''
+        };
+        
+        this._editingElement = existing ? id : null;
+        this.modalTitle.textContent = existing ? `Edit ${definition.name}` : 'New Element';
+        
+        const states = Object.keys(Particles.CUSTOM_STATES).map(state =>
+            `<option value="${state}"${state === definition.state ? ' selected' : ''}>${state}</option>`
+        ).join('');
+        
+        const emitTypes = this._getElementOptions(definition.emitType, id);
+        
+        let content = '<div class="element-form" id="element-form">';
+        content += `<label for="element-name">Name:</label><input type="text" id="element-name" value="${Utils.escapeHtml(definition.name)}">`;
+        content += `<label for="element-color">Color:</label><input type="color" id="element-color" value="${definition.color}">`;
+        content += `<label for="element-variation">Color variation:</label><input type="range" id="element-variation" min="0" max="0.5" step="0.01" value="${definition.colorVariation}">`;
+        content += `<label for="element-state">State:</label><select id="element-state">${states}</select>`;
+        content += `<label for="element-density">Density:</label><input type="number" id="element-density" min="0.01" step="0.1" value="${definition.density}">`;
+        content += `<label for="element-flammability">Flammability:</label><input type="range" id="element-flammability" min="0" max="1" step="0.01" value="${definition.flammability}">`;
+        content += `<label for="element-lifespan">Lifespan (updates, 0 = forever):</label><input type="number" id="element-lifespan" min="0" step="1" value="${definition.lifespan}">`;
+        content += `<label for="element-emit">Emits:</label><select id="element-emit"><option value="">Nothing</option>${emitTypes}</select>`;
+        content += '</div>';
+        
+        if (existing) {
+            content += '<button id="element-delete-btn">Delete element</button>';
+        }
+        
+        content += '<div id="element-result"></div>';
+        
+        this.modalBody.innerHTML = content;
+        this.modalConfirmButton.textContent = existing ? 'Done' : 'Create';
+        this._currentModalAction = 'element';
+        
+        // Live editing: existing elements update as the fields change
+        if (existing) {
+            const form = document.getElementById('element-form');
+            const applyLive = () => this.applyElementForm();
+            form.addEventListener('input', applyLive);
+            form.addEventListener('change', applyLive);
+            
+            document.getElementById('element-delete-btn').addEventListener('click', () => {
+                this.deleteCustomElement(id);
+            });
+        }
+        
+        this.showModal();
+    }
+    
+    /**
+     * Register the element described by the creator form and refresh the panel
+     * @returns {string|null} Id of the element, or null if the form is invalid
+     */
+    applyElementForm() {
+        const resultDiv = document.getElementById('element-result');
+        
+        try {
+            const id = Particles.registerElement({
+                ...(this._editingElement && { id: this._editingElement }),
+                name: document.getElementById('element-name').value,
+                color: document.getElementById('element-color').value,
+                colorVariation: document.getElementById('element-variation').value,
+                state: document.getElementById('element-state').value,
+                density: document.getElementById('element-density').value,
+                flammability: document.getElementById('element-flammability').value,
+                lifespan: document.getElementById('element-lifespan').value,
+                emitType: document.getElementById('element-emit').value
+            });
+            
+            Storage.saveCustomElements(Particles.getCustomDefinitions());
+            this.refreshElementPanel();
+            this.renderer.forceFullRedraw();
+            resultDiv.textContent = '';
+            
+            return id;
+        } catch (error) {
+            resultDiv.textContent = error.message;
+            resultDiv.style.color = 'red';
+            return null;
+        }
+    }
+    
+    /**
+     * Build <option> tags for every element
+     * @param {string} selected - Element type to preselect
+     * @param {string} [exclude] - Element type to leave out
+     * @returns {string} HTML options
+     * @private
+     */
+    _getElementOptions(selected, exclude) {
+        return Object.keys(Particles.ELEMENTS)
+            .filter(type => type !== exclude)
+            .map(type => {
+                const label = Utils.escapeHtml(Particles.getLabel(type));
+                return `<option value="${Utils.escapeHtml(type)}"${type === selected ? ' selected' : ''}>${label}</option>`;
+            })
+            .join('');
+    }
+    
+    /**
+     * Download the current scene as a file
+     */
+    exportToFile() {
+        const exported = Storage.exportGame(this.engine.exportState());
+        
+        if (!exported) {
+            this.showMessage('Export Failed', 'The scene could not be exported.');
+            return;
+        }
+        
+        Utils.downloadBlob(new Blob([exported], { type: 'application/json' }), this._getFileName('json'));
+    }
+    
+    /**
+     * Name a downloaded file after the game and today's date
+     * @param {string} extension - File extension
+     * @returns {string} File name
+     * @private
+     */
+    _getFileName(extension) {
+        const date = new Date().toISOString().slice(0, 10);
+        return `openpowdergame-${date}.${extension}`;
+    }
+    
+    /**
+     * Open the dialog for taking a screenshot or recording a clip
+     */
+    openCaptureDialog() {
+        const { width, height } = this.engine;
+        const scaleOptions = Capture.SCALES.map(scale =>
+            `<option value="${scale}"${scale === this.renderer.pixelSize ? ' selected' : ''}>` +
+            `${scale}× (${width * scale}×${height * scale})</option>`
+        ).join('');
+        const webmSupported = Capture.isSupported('webm');
+        
+        let content = '<div class="element-form">';
+        content += '<label for="capture-format">Capture</label><select id="capture-format">';
+        content += '<option value="png">Screenshot (PNG)</option>';
+        content += '<option value="gif">Animated GIF</option>';
+        content += `<option value="webm"${webmSupported ? '' : ' disabled'}>Video (WebM)${webmSupported ? '' : ' - not supported by this browser'}</option>`;
+        content += '</select>';
+        content += `<label for="capture-scale">Scale</label><select id="capture-scale">${scaleOptions}</select>`;
+        content += '<div id="capture-length">';
+        content += '<label for="capture-seconds" id="capture-seconds-label"></label>';
+        content += `<input type="number" id="capture-seconds" min="1" max="${Capture.MAX_SECONDS}" value="5">`;
+        content += '</div>';
+        content += '<p id="capture-note"></p>';
+        content += '</div>';
+        
+        this.modalTitle.textContent = 'Capture';
+        this.modalBody.innerHTML = content;
+        this._currentModalAction = 'capture';
+        
+        document.getElementById('capture-format').addEventListener('change', this.updateCaptureForm.bind(this));
+        document.getElementById('capture-scale').addEventListener('change', this.updateCaptureForm.bind(this));
+        this.updateCaptureForm();
+        
+        this.showModal();
+    }
+    
+    /**
+     * Show the options that apply to the chosen capture format
+     */
+    updateCaptureForm() {
+        const format = document.getElementById('capture-format').value;
+        const scale = Number(document.getElementById('capture-scale').value);
+        const note = document.getElementById('capture-note');
+        
+        document.getElementById('capture-length').classList.toggle('hidden', format === 'png');
+        
+        // GIF frames wait in memory for encoding, so big grids and scales can record less
+        const maxSeconds = Capture.getMaxSeconds(format, this.engine.width, this.engine.height, scale);
+        document.getElementById('capture-seconds-label').textContent = `Length in seconds (up to ${maxSeconds})`;
+        document.getElementById('capture-seconds').max = maxSeconds;
+        this.modalConfirmButton.textContent = format === 'png' ? 'Take Screenshot' : 'Start Recording';
+        
+        if (format === 'gif' && scale > Capture.GIF_MAX_SCALE) {
+            note.textContent = `GIFs are recorded at ${Capture.GIF_MAX_SCALE}× at most.`;
+        } else if (format === 'png') {
+            note.textContent = '';
+        } else {
+            note.textContent = 'Recording starts when you close this dialog. Click Stop to end it early.';
+        }
+    }
+    
+    /**
+     * Take the screenshot or start the recording chosen in the capture dialog
+     */
+    async startCapture() {
+        const format = document.getElementById('capture-format').value;
+        const scale = Number(document.getElementById('capture-scale').value);
+        const maxSeconds = Capture.getMaxSeconds(format, this.engine.width, this.engine.height, scale);
+        const seconds = Utils.clamp(Number(document.getElementById('capture-seconds').value) || 5, 1, maxSeconds);
+        
+        this.closeModal();
+        
+        if (format === 'png') {
+            try {
+                Utils.downloadBlob(await Capture.screenshot(this.renderer, scale), this._getFileName('png'));
+            } catch (error) {
+                this.showMessage('Screenshot Failed', error.message);
+            }
+            return;
+        }
+        
+        this._recording = Capture.record(this.renderer, {
+            format,
+            seconds,
+            scale,
+            onProgress: progress => {
+                this.captureButton.textContent = `Encoding ${Math.round(progress * 100)}%`;
+            }
+        });
+        
+        // The capture button stops the recording until it ends
+        this.captureButton.textContent = 'Stop';
+        this.captureButton.title = 'Stop Recording';
+        this.captureButton.classList.add('active');
+        
+        this._recording.stopped.then(() => {
+            this.captureButton.disabled = true;
+            this.captureButton.textContent = 'Saving...';
+        });
+        
+        try {
+            Utils.downloadBlob(await this._recording.result, this._getFileName(format));
+        } catch (error) {
+            this.showMessage('Recording Failed', error.message);
+        } finally {
+            this._recording = null;
+            this.captureButton.disabled = false;
+            this.captureButton.textContent = 'Capture';
+            this.captureButton.title = 'Screenshot or Recording';
+            this.captureButton.classList.remove('active');
+        }
+    }
+    
+    /**
+     * Replace the scene with one from an exported file, or start turning a picture into one
+     * @param {File} file - File to read
+     */
+    importFromFile(file) {
+        if (file.type.startsWith('image/')) {
+            this.openImageImportDialog(file);
+            return;
+        }
+        
+        file.text().then(text => {
+            const gameState = Storage.readExport(text, { width: this.engine.width, height: this.engine.height });
+            
+            this.engine.importState(gameState);
+            this.syncSettings();
+            this.refreshElementPanel();
+            this.renderer.forceFullRedraw();
+            this.updateUndoRedoButtons();
+            
+            // Keep any custom elements and rules that came with the file
+            Storage.saveCustomElements(Particles.getCustomDefinitions());
+            Storage.saveCustomRules(Interactions.getCustomRules());
+        }).catch(error => {
+            this.showMessage('Import Failed', `Could not import ${file.name}: ${error.message}`);
+        });
+    }
+    
+    /**
+     * Accept files dragged over the canvas
+     * @param {DragEvent} e - Drag event
+     */
+    handleDragOver(e) {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        this.canvas.classList.add('drop-target');
+    }
+    
+    /**
+     * Import a file dropped on the canvas
+     * @param {DragEvent} e - Drop event
+     */
+    handleDrop(e) {
+        e.preventDefault();
+        this.canvas.classList.remove('drop-target');
+        
+        const file = e.dataTransfer.files[0];
+        if (file) this.importFromFile(file);
+    }
+    
+    /**
+     * Open the dialog that turns a picture into a scene, with a preview and a choice of elements
+     * @param {File} file - Image file
+     */
+    openImageImportDialog(file) {
+        createImageBitmap(file).then(image => {
+            this._imageImport = { image, pixels: null, cells: null };
+            
+            const defaults = new Set(ImageImport.getDefaultTypes());
+            const option = (value, label, color, checked) =>
+                `<label class="palette-option"><input type="checkbox" value="${value}"${checked ? ' checked' : ''}>` +
+                `<span class="palette-swatch" style="background-color: ${color}"></span>${Utils.escapeHtml(label)}</label>`;
+            
+            let content = `<canvas id="image-preview" width="${this.engine.width}" height="${this.engine.height}"></canvas>`;
+            content += '<div id="image-result"></div>';
+            content += '<label><input type="checkbox" id="image-keep-aspect" checked> Keep aspect ratio</label>';
+            content += '<label><input type="checkbox" id="image-replace" checked> Replace the current scene</label>';
+            content += '<h4>Elements to use</h4><div class="image-palette" id="image-palette">';
+            content += option('', ImageImport.EMPTY.label, ImageImport.EMPTY.color, true);
+            
+            for (const types of Object.values(Particles.getCategorizedElements())) {
+                for (const type of types) {
+                    content += option(type, Particles.getLabel(type), Particles.ELEMENTS[type].color, defaults.has(type));
+                }
+            }
+            content += '</div>';
+            
+            this.modalTitle.textContent = `Import ${file.name}`;
+            this.modalBody.innerHTML = content;
+            this.modalConfirmButton.textContent = 'Import';
+            this._currentModalAction = 'image';
+            
+            document.getElementById('image-palette').addEventListener('change', this.updateImagePreview.bind(this));
+            document.getElementById('image-keep-aspect').addEventListener('change', () => {
+                this._sampleImage();
+                this.updateImagePreview();
+            });
+            
+            this._sampleImage();
+            this.updateImagePreview();
+            this.showModal();
+        }).catch(() => {
+            this.showMessage('Import Failed', `${file.name} is not an image this browser can read.`);
+        });
+    }
+    
+    /**
+     * Scale the picture being imported to the grid, one pixel per cell
+     * @private
+     */
+    _sampleImage() {
+        const { image } = this._imageImport;
+        const { width, height } = this.engine;
+        const keepAspect = document.getElementById('image-keep-aspect').checked;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        
+        if (keepAspect) {
+            // Fit inside the grid and center; the uncovered cells stay transparent, so empty
+            const scale = Math.min(width / image.width, height / image.height);
+            const drawWidth = Math.round(image.width * scale);
+            const drawHeight = Math.round(image.height * scale);
+            ctx.drawImage(image, Math.floor((width - drawWidth) / 2), Math.floor((height - drawHeight) / 2), drawWidth, drawHeight);
+        } else {
+            ctx.drawImage(image, 0, 0, width, height);
+        }
+        
+        this._imageImport.pixels = ctx.getImageData(0, 0, width, height);
+    }
+    
+    /**
+     * Match the picture against the chosen elements and draw the result in the preview
+     */
+    updateImagePreview() {
+        const checked = [...document.querySelectorAll('#image-palette input:checked')].map(input => input.value);
+        const palette = ImageImport.getPalette(checked.filter(type => type !== ''), checked.includes(''));
+        const cells = ImageImport.matchPixels(this._imageImport.pixels, palette);
+        this._imageImport.cells = cells;
+        
+        const canvas = document.getElementById('image-preview');
+        const ctx = canvas.getContext('2d');
+        const preview = ctx.createImageData(canvas.width, canvas.height);
+        const colors = new Map(palette.map(entry => [entry.type, entry.rgb]));
+        let count = 0;
+        
+        cells.forEach((type, i) => {
+            if (type === null) {
+                preview.data[i * 4 + 3] = 255;
+                return;
+            }
+            
+            preview.data.set([...colors.get(type), 255], i * 4);
+            count++;
+        });
+        
+        ctx.putImageData(preview, 0, 0);
+        
+        const resultDiv = document.getElementById('image-result');
+        resultDiv.textContent = palette.length > 0 ? `${count} particles` : 'Pick at least one element.';
+        this.modalConfirmButton.disabled = count === 0;
+    }
+    
+    /**
+     * Draw the previewed picture into the scene as a single undo step
+     */
+    applyImageImport() {
+        const groups = ImageImport.groupByType(this._imageImport.cells, this.engine.width);
+        const replace = document.getElementById('image-replace').checked;
+        
+        this.engine.batch(() => {
+            if (replace) this.engine.reset();
+            
+            for (const [type, points] of groups) {
+                this.engine.drawElements(type, points);
+            }
+        });
+        
+        this._imageImport = null;
+        this.renderer.forceFullRedraw();
+        this.updateUndoRedoButtons();
+        this.closeModal();
+    }
+    
+    /**
+     * Put the current scene in the page URL and offer the link for copying
+     */
+    openShareDialog() {
+        this.modalTitle.textContent = 'Share Creation';
+        this._currentModalAction = 'share';
+        
+        let hash;
+        try {
+            hash = Storage.createShareHash(this.engine.exportState());
+        } catch (error) {
+            this.modalBody.innerHTML = `<p>${Utils.escapeHtml(error.message)}</p>`;
+            this.modalConfirmButton.textContent = 'OK';
+            this.showModal();
+            return;
+        }
+        
+        // Replace rather than push, so Back doesn't step through old scenes
+        history.replaceState(null, '', hash);
+        
+        let content = '<label for="share-link">Anyone with this link can open your creation:</label>';
+        content += `<input type="text" id="share-link" readonly value="${Utils.escapeHtml(location.href)}">`;
+        content += '<div id="share-result"></div>';
+        
+        this.modalBody.innerHTML = content;
+        this.modalConfirmButton.textContent = 'Copy Link';
+        
+        const linkInput = document.getElementById('share-link');
+        linkInput.addEventListener('focus', () => linkInput.select());
+        
+        this.showModal();
+    }
+    
+    /**
+     * Copy the share link to the clipboard
+     */
+    copyShareLink() {
+        const resultDiv = document.getElementById('share-result');
         
-        // Get all saved creations
-        const saves = Storage.getAllSaves();
-        const saveNames = Object.keys(saves);
+        navigator.clipboard.writeText(document.getElementById('share-link').value).then(() => {
+            resultDiv.textContent = 'Link copied!';
+            resultDiv.style.color = 'green';
+            setTimeout(this.closeModal.bind(this), 1000);
+        }, () => {
+            resultDiv.textContent = 'Could not copy automatically. Select the link and copy it.';
+            resultDiv.style.color = 'red';
+        });
+    }
+    
+    /**
+     * Load the scene from a share link in the page URL, if there is one
+     */
+    loadSharedScene() {
+        let gameState;
+        
+        try {
+            gameState = Storage.readShareHash(location.hash, { width: this.engine.width, height: this.engine.height });
+        } catch (error) {
+            this.showMessage('Shared Creation', error.message);
+            return;
+        }
+        
+        if (!gameState) return;
+        
+        this.engine.importState(gameState);
+        this.syncSettings();
+        this.refreshElementPanel();
+        this.renderer.forceFullRedraw();
+        this.updateUndoRedoButtons();
+        
+        // Keep any custom elements and rules that came with the link, so saves using them still load
+        Storage.saveCustomElements(Particles.getCustomDefinitions());
+        Storage.saveCustomRules(Interactions.getCustomRules());
+    }
+    
+    /**
+     * Show a message in the modal dialog
+     * @param {string} title - Dialog title
+     * @param {string} message - Text to show
+     */
+    showMessage(title, message) {
+        this.modalTitle.textContent = title;
+        this.modalBody.innerHTML = `<p>${Utils.escapeHtml(message)}</p>`;
+        this.modalConfirmButton.textContent = 'OK';
+        this._currentModalAction = 'message';
+        
+        this.showModal();
+    }
+    
+    /**
+     * Open the list of reaction rules
+     */
+    openRulesDialog() {
+        this.modalTitle.textContent = 'Reaction Rules';
+        
+        const customRules = Interactions.getCustomRules();
+        let content = '<h4>Your rules</h4>';
+        
+        if (customRules.length === 0) {
+            content += '<p>No custom rules yet.</p>';
+        } else {
+            content += '<ul class="rule-list" id="custom-rule-list">';
+            for (const rule of customRules) {
+                content += `<li><span>${Utils.escapeHtml(this._describeRule(rule))}</span>`;
+                content += `<button data-action="edit" data-rule="${Utils.escapeHtml(rule.id)}">Edit</button>`;
+                content += `<button data-action="delete" data-rule="${Utils.escapeHtml(rule.id)}">Delete</button></li>`;
+            }
+            content += '</ul>';
+        }
         
+        content += '<h4>Built-in</h4><ul class="rule-list">';
+        for (const rule of Interactions.RULES) {
+            content += `<li><span>${Utils.escapeHtml(this._describeRule(rule))}</span></li>`;
+        }
+        content += '</ul>';
+        
+        this.modalBody.innerHTML = content;
+        this.modalConfirmButton.textContent = 'New Rule';
+        this._currentModalAction = 'rules';
+        
+        const list = document.getElementById('custom-rule-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const ruleId = e.target.dataset.rule;
+                if (!ruleId) return;
+                
+                if (e.target.dataset.action === 'edit') {
+                    this.openRuleDialog(ruleId);
+                } else if (e.target.dataset.action === 'delete') {
+                    Interactions.removeRule(ruleId);
+                    Storage.saveCustomRules(Interactions.getCustomRules());
+                    this.openRulesDialog();
+                }
+            });
+        }
+        
+        this.showModal();
+    }
+    
+    /**
+     * Open the form for adding or editing a reaction rule
+     * @param {string} [id] - Id of the custom rule to edit
+     */
+    openRuleDialog(id) {
+        const existing = id && Interactions.customRules.find(rule => rule.id === id);
+        const rule = existing || {
+            reactants: ['water', 'sand'],
+            products: ['water', 'sand'],
+            probability: 0.1
+        };
+        const temperature = rule.temperature || {};
+        
+        this._editingRule = existing ? id : null;
+        this.modalTitle.textContent = existing ? 'Edit Rule' : 'New Rule';
+        
+        // Products are "stays the same", "nothing" or any element
+        const productOptions = (index) => {
+            const product = rule.products[index];
+            const same = product === rule.reactants[index];
+            return `<option value="="${same ? ' selected' : ''}>(stays the same)</option>` +
+                `<option value=""${product === null ? ' selected' : ''}>(disappears)</option>` +
+                this._getElementOptions(same ? null : product);
+        };
+        
+        let content = '<div class="element-form">';
+        content += `<label for="rule-reactant-a">When:</label><select id="rule-reactant-a">${this._getElementOptions(rule.reactants[0])}</select>`;
+        content += `<label for="rule-reactant-b">touches:</label><select id="rule-reactant-b">${this._getElementOptions(rule.reactants[1])}</select>`;
+        content += `<label for="rule-product-a">First becomes:</label><select id="rule-product-a">${productOptions(0)}</select>`;
+        content += `<label for="rule-product-b">Second becomes:</label><select id="rule-product-b">${productOptions(1)}</select>`;
+        content += `<label for="rule-probability">Probability (0-1):</label><input type="number" id="rule-probability" min="0" max="1" step="0.01" value="${rule.probability}">`;
+        content += `<label for="rule-byproduct">Byproduct:</label><select id="rule-byproduct"><option value="">None</option>${this._getElementOptions(rule.byproduct)}</select>`;
+        content += `<label for="rule-above">Only above (°):</label><input type="number" id="rule-above" value="${temperature.above ?? ''}">`;
+        content += `<label for="rule-below">Only below (°):</label><input type="number" id="rule-below" value="${temperature.below ?? ''}">`;
+        content += '</div>';
+        content += '<div id="rule-result"></div>';
+        
+        this.modalBody.innerHTML = content;
+        this.modalConfirmButton.textContent = existing ? 'Save Rule' : 'Add Rule';
+        this._currentModalAction = 'rule';
+        
+        this.showModal();
+    }
+    
+    /**
+     * Add or update the rule described by the rule form
+     * @returns {boolean} True if the rule was valid and saved
+     */
+    applyRuleForm() {
+        const value = (fieldId) => document.getElementById(fieldId).value;
+        const reactants = [value('rule-reactant-a'), value('rule-reactant-b')];
+        const product = (fieldId, index) => {
+            const selected = value(fieldId);
+            if (selected === '=') return reactants[index];
+            return selected === '' ? null : selected;
+        };
+        
+        const temperature = {};
+        if (value('rule-above') !== '') temperature.above = Number(value('rule-above'));
+        if (value('rule-below') !== '') temperature.below = Number(value('rule-below'));
+        
+        try {
+            Interactions.addRule({
+                ...(this._editingRule && { id: this._editingRule }),
+                reactants,
+                products: [product('rule-product-a', 0), product('rule-product-b', 1)],
+                probability: Number(value('rule-probability')),
+                byproduct: value('rule-byproduct'),
+                ...(Object.keys(temperature).length > 0 && { temperature })
+            });
+            
+            Storage.saveCustomRules(Interactions.getCustomRules());
+            return true;
+        } catch (error) {
+            const resultDiv = document.getElementById('rule-result');
+            resultDiv.textContent = error.message;
+            resultDiv.style.color = 'red';
+            return false;
+        }
+    }
+    
+    /**
+     * Describe a rule in one line, e.g. "acid + sand → acid + nothing (3%)"
+     * @param {Object} rule - Reaction rule
+     * @returns {string} Description
+     * @private
+     */
+    _describeRule(rule) {
+        const name = type => type === null ? 'nothing' : Particles.getLabel(type);
+        const temperature = rule.temperature || {};
+        
+        let text = `${name(rule.reactants[0])} + ${name(rule.reactants[1])} → ` +
+            `${name(rule.products[0])} + ${name(rule.products[1])}`;
+        
+        if (rule.byproduct) text += ` + ${name(rule.byproduct)}`;
+        text += ` (${Math.round(rule.probability * 1000) / 10}%)`;
+        if (temperature.above !== undefined) text += ` above ${temperature.above}°`;
+        if (temperature.below !== undefined) text += ` below ${temperature.below}°`;
+        
+        return text;
+    }
+    
+    /**
+     * Open the list of element packs, with a file picker for loading more
+     */
+    openPacksDialog() {
+        this.modalTitle.textContent = 'Element Packs';
+        
+        const packs = Packs.getLoadedPacks();
         let content = '';
         
-        if (saveNames.length === 0) {
-            content = '<p>No saved creations found.</p>';
-            this.modalConfirmButton.disabled = true;
+        if (packs.length === 0) {
+            content += '<p>No element packs loaded.</p>';
         } else {
-            content = '<select id="load-select">';
-            for (const name of saveNames) {
-                const date = new Date(saves[name].date).toLocaleString();
-                content += `<option value="${name}">${name} (${date})</option>`;
+            content += '<ul class="rule-list" id="pack-list">';
+            for (const pack of packs) {
+                const version = pack.version ? ` ${Utils.escapeHtml(String(pack.version))}` : '';
+                const count = Object.keys(pack.elements || {}).length;
+                content += `<li><span>${Utils.escapeHtml(pack.name)}${version} (${count} elements)</span>`;
+                content += `<button data-pack="${Utils.escapeHtml(pack.name)}">Remove</button></li>`;
             }
-            content += '</select>';
-            content += '<div id="load-result"></div>';
-            this.modalConfirmButton.disabled = false;
+            content += '</ul>';
         }
         
+        content += '<label for="pack-file">Load a pack (.json):</label>';
+        content += '<input type="file" id="pack-file" accept=".json,application/json">';
+        content += '<div id="pack-result"></div>';
+        
         this.modalBody.innerHTML = content;
-        this.modalConfirmButton.textContent = 'Load';
-        this._currentModalAction = 'load';
+        this.modalConfirmButton.textContent = 'Done';
+        this._currentModalAction = 'packs';
+        
+        const list = document.getElementById('pack-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                if (e.target.dataset.pack) this.removePack(e.target.dataset.pack);
+            });
+        }
+        
+        document.getElementById('pack-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) file.text().then(text => this.loadPack(text));
+        });
         
         this.showModal();
     }
     
+    /**
+     * Load an element pack from the text of a pack file and report what happened
+     * @param {string} text - JSON text of the pack
+     */
+    loadPack(text) {
+        let report;
+        
+        try {
+            report = Packs.load(Packs.parse(text));
+        } catch (error) {
+            const resultDiv = document.getElementById('pack-result');
+            resultDiv.textContent = error.message;
+            resultDiv.style.color = 'red';
+            return;
+        }
+        
+        // Particles of elements the new version dropped would be left without a definition
+        report.removed.forEach(type => this.engine.removeAllOfType(type));
+        
+        Storage.savePacks(Packs.getLoadedPacks());
+        this.refreshElementPanel();
+        this.renderer.forceFullRedraw();
+        
+        // Reopen to list the pack, then explain the result below the list
+        this.openPacksDialog();
+        
+        const resultDiv = document.getElementById('pack-result');
+        const lines = [
+            `${report.replaced ? 'Updated' : 'Loaded'} "${report.name}": ` +
+            `${report.elements.length} elements, ${report.reactions.length} reactions.`,
+            ...report.conflicts
+        ];
+        resultDiv.innerHTML = lines.map(line => Utils.escapeHtml(line)).join('<br>');
+        resultDiv.style.color = report.conflicts.length > 0 ? 'orange' : 'green';
+    }
+    
+    /**
+     * Unload an element pack along with all of its particles
+     * @param {string} name - Pack name
+     */
+    removePack(name) {
+        let removed;
+        
+        try {
+            removed = Packs.unload(name);
+        } catch (error) {
+            const resultDiv = document.getElementById('pack-result');
+            resultDiv.textContent = error.message;
+            resultDiv.style.color = 'red';
+            return;
+        }
+        
+        removed.forEach(type => this.engine.removeAllOfType(type));
+        
+        Storage.savePacks(Packs.getLoadedPacks());
+        this.refreshElementPanel();
+        this.renderer.forceFullRedraw();
+        this.openPacksDialog();
+    }
+    
+    /**
+     * Delete a custom element along with all of its particles
+     * @param {string} id - Id of the custom element
+     */
+    deleteCustomElement(id) {
+        const definition = Particles.customDefinitions[id];
+        const resultDiv = document.getElementById('element-result');
+        
+        // Emitters that create it would be left pointing at nothing
+        const emitter = Particles.getCustomDefinitions().find(other => other.emitType === id);
+        if (emitter) {
+            resultDiv.textContent = `${emitter.name} emits this element.`;
+            resultDiv.style.color = 'red';
+            return;
+        }
+        
+        if (!confirm(`Delete ${definition.name}? Its particles will be removed.`)) return;
+        
+        this.engine.removeAllOfType(id);
+        Particles.unregisterElement(id);
+        Storage.saveCustomElements(Particles.getCustomDefinitions());
+        
+        this.refreshElementPanel();
+        this.renderer.forceFullRedraw();
+        this.closeModal();
+    }
+    
     /**
      * Show the modal dialog
      */
@@ -617,7 +1760,7 @@ class UI {
     /**
      * Handle modal confirm button click
      */
-    handleModalConfirm() {
+    async handleModalConfirm() {
         if (this._currentModalAction === 'save') {
             const nameInput = document.getElementById('save-name');
             const name = nameInput.value.trim();
@@ -629,45 +1772,67 @@ class UI {
                 return;
             }
             
+            // Never push out an old creation without asking
+            let evicted;
+            try {
+                evicted = await Storage.getEvictionCandidate(name);
+            } catch (error) {
+                resultDiv.textContent = error.message;
+                resultDiv.style.color = 'red';
+                return;
+            }
+            
+            if (evicted && !confirm(`Delete "${evicted}" to make room for "${name}"?`)) {
+                return;
+            }
+            
             // Get current game state
-            const gameState = this.engine.exportCompressedState();
+            const gameState = this.engine.exportState();
             
-            // Save it
-            const success = Storage.saveGame(gameState, name);
+            // Save it, without letting a second click start another save meanwhile
+            this.modalConfirmButton.disabled = true;
+            const success = await Storage.saveGame(gameState, name, {
+                thumbnail: this.renderer.createThumbnail(),
+                evict: evicted !== null
+            });
+            this.modalConfirmButton.disabled = false;
             
             if (success) {
                 resultDiv.textContent = 'Creation saved successfully!';
                 resultDiv.style.color = 'green';
                 setTimeout(this.closeModal.bind(this), 1500);
             } else {
-                resultDiv.textContent = 'Error saving creation.';
+                resultDiv.textContent = 'Error saving creation. Browser storage may be full.';
                 resultDiv.style.color = 'red';
             }
         } else if (this._currentModalAction === 'load') {
-            const selectEl = document.getElementById('load-select');
-            
-            if (!selectEl) {
+            if (this._selectedSave) {
+                this.loadSave(this._selectedSave);
+            }
+        } else if (this._currentModalAction === 'share') {
+            if (document.getElementById('share-link')) {
+                this.copyShareLink();
+            } else {
                 this.closeModal();
-                return;
             }
+        } else if (this._currentModalAction === 'packs' || this._currentModalAction === 'message') {
+            this.closeModal();
+        } else if (this._currentModalAction === 'capture') {
+            this.startCapture();
+        } else if (this._currentModalAction === 'image') {
+            this.applyImageImport();
+        } else if (this._currentModalAction === 'rules') {
+            this.openRuleDialog();
+        } else if (this._currentModalAction === 'rule') {
+            if (this.applyRuleForm()) {
+                this.openRulesDialog();
+            }
+        } else if (this._currentModalAction === 'element') {
+            const id = this.applyElementForm();
             
-            const name = selectEl.value;
-            const resultDiv = document.getElementById('load-result');
-            
-            // Load the saved state
-            const gameState = Storage.loadGame(name);
-            
-            if (gameState) {
-                this.engine.importCompressedState(gameState);
-                this.renderer.forceFullRedraw();
-                this.updateUndoRedoButtons();
-                
-                resultDiv.textContent = 'Creation loaded successfully!';
-                resultDiv.style.color = 'green';
-                setTimeout(this.closeModal.bind(this), 1500);
-            } else {
-                resultDiv.textContent = 'Error loading creation.';
-                resultDiv.style.color = 'red';
+            if (id) {
+                this.setElement(id);
+                this.closeModal();
             }
         }
     }
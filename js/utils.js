@@ -208,22 +208,47 @@ const Utils = {
      * @returns {Object} Color mapping for elements
      */
     getElementColors: function() {
-        return {
-            'sand': '#e8d16f',
-            'wall': '#808080',
-            'water': '#4d97ff',
-            'oil': '#704214',
-            'wood': '#945c31',
-            'metal': '#b8b8b8',
-            'fire': '#ff6422',
-            'steam': '#dce6f5',
-            'smoke': '#555555',
-            'spark': '#ffff00',
-            'acid': '#00ff00',
-            'source-water': '#0077be',
-            'source-sand': '#d9b166',
-            'void': '#222222'
-        };
+        const colors = {};
+        
+        for (const [type, elementType] of Object.entries(Particles.ELEMENTS)) {
+            colors[type] = elementType.color;
+        }
+        
+        return colors;
+    },
+    
+    /**
+     * Format a size in bytes for display, e.g. "1.5 MB"
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatBytes: function(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let unit = 0;
+        
+        while (bytes >= 1024 && unit < units.length - 1) {
+            bytes /= 1024;
+            unit++;
+        }
+        
+        return `${unit === 0 ? bytes : bytes.toFixed(1)} ${units[unit]}`;
+    },
+    
+    /**
+     * Offer a blob to the user as a download
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    downloadBlob: function(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        // Some browsers only start the download after click() returns; revoking now would cancel it
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
     
     /**
@@ -252,5 +277,19 @@ const Utils = {
             clearTimeout(timeout);
             timeout = setTimeout(() => func.apply(this, args), wait);
         };
+    },
+    
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml: function(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 };